@@ -8,6 +8,7 @@
  */
 
 import { Command } from 'commander';
+import path from 'path';
 import chalk from 'chalk';
 import { registerAuthCommands } from '../src/commands/auth.js';
 import { registerDesignCommands } from '../src/commands/designs.js';
@@ -23,6 +24,12 @@ import { registerInitCommands } from '../src/commands/init.js';
 import { registerProfileCommands } from '../src/commands/profiles.js';
 import { registerWatchCommands } from '../src/commands/watch.js';
 import { registerDiffCommands } from '../src/commands/diff.js';
+import { getMaxTime, setFlagValue } from '../src/config.js';
+import { getProfile, usesProfile } from '../src/profiles.js';
+import { installSignalHandlers, startSessionTimer } from '../src/session.js';
+import { EXIT_CODES, UsageError, getExitCode } from '../src/errors.js';
+import { exitWithError } from '../src/output.js';
+import { enableHar } from '../src/trace.js';
 
 const program = new Command();
 
@@ -34,12 +41,55 @@ program
     .configureHelp({
         sortSubcommands: true,
         sortOptions: true,
-    });
+    })
+    // Set before the commands are added so they inherit it, and usage
+    // errors reach the handler at the end of this file
+    .exitOverride();
 
 // Global options
 program
     .option('--no-color', 'Disable colored output')
-    .option('--debug', 'Enable debug output');
+    .option('--profile <name>', 'Profile to use for this command')
+    .option('--debug', 'Trace API requests and show full errors')
+    .option('--har <file>', 'Write a HAR file of all API requests')
+    .option('--retries <number>', 'Retry attempts for failed API requests')
+    .option('--request-timeout <seconds>', 'Timeout for each API request')
+    .option('--max-time <seconds>', 'Overall time limit for the command');
+
+// Expose global options to the API client
+program.hook('preAction', (thisCommand, actionCommand) => {
+    const opts = program.opts();
+    if (opts.profile !== undefined) {
+        process.env.CANVELETE_PROFILE = opts.profile;
+    }
+
+    // `auth login` and `profiles` manage profiles, so they may name one
+    // that does not exist yet
+    const group = actionCommand.parent?.name();
+    const profile = process.env.CANVELETE_PROFILE;
+    if (profile && group !== 'auth' && group !== 'profiles' && usesProfile(profile) && !getProfile(profile)) {
+        exitWithError(new UsageError(`Profile "${profile}" not found`, { hint: 'Run: canvelete profiles list' }), actionCommand.opts());
+    }
+
+    if (opts.retries !== undefined) {
+        setFlagValue('retryAttempts', opts.retries);
+    }
+    if (opts.requestTimeout !== undefined) {
+        setFlagValue('timeout', opts.requestTimeout);
+    }
+    if (opts.maxTime !== undefined) {
+        setFlagValue('maxTime', opts.maxTime);
+    }
+    if (opts.debug) {
+        process.env.CANVELETE_DEBUG = '1';
+    }
+    if (opts.har) {
+        enableHar(opts.har);
+    }
+
+    installSignalHandlers();
+    startSessionTimer(getMaxTime());
+});
 
 // Register all command groups
 registerAuthCommands(program);
@@ -62,8 +112,8 @@ program
     .command('whoami')
     .description('Show current authenticated user info')
     .action(async () => {
-        const { getApiKey } = await import('../src/config.js');
-        const apiKey = getApiKey();
+        const { loadApiKey } = await import('../src/config.js');
+        const apiKey = await loadApiKey();
         
         if (!apiKey) {
             console.log(chalk.yellow('Not authenticated.'));
@@ -95,33 +145,36 @@ program
 // Quick render shortcut
 program
     .command('quick-render <designId>')
-    .description('Quickly render a design to PNG')
+    .description('Quickly render a design (ID or project alias) to PNG')
     .option('-o, --output <file>', 'Output file')
     .action(async (designId, options) => {
-        const { requireAuth } = await import('../src/config.js');
-        const { createClient } = await import('../src/client.js');
-        const fs = await import('fs');
+        const { requireAuth, getDefaultQuality, getOutputDir } = await import('../src/config.js');
+        const { resolveDesignId } = await import('../src/project.js');
+        const { createClient } = await import('../src/api.js');
+        const { formatProgress } = await import('../src/output.js');
         const ora = (await import('ora')).default;
         
-        requireAuth();
+        await requireAuth();
+        designId = resolveDesignId(designId);
         const spinner = ora('Rendering...').start();
 
         try {
             const client = createClient();
-            const imageData = await client.render({
+            const outputPath = options.output || path.join(getOutputDir(), `${designId.substring(0, 8)}.png`);
+            await client.renderToFile({
                 designId,
                 format: 'png',
-                quality: 90,
+                quality: getDefaultQuality(),
+            }, outputPath, {
+                onProgress: (progress) => {
+                    spinner.text = `Rendering... ${formatProgress(progress)}`;
+                },
             });
-
-            const buffer = Buffer.from(imageData);
-            const outputPath = options.output || `${designId.substring(0, 8)}.png`;
-            fs.writeFileSync(outputPath, buffer);
             
             spinner.succeed(`Saved to ${outputPath}`);
         } catch (err) {
             spinner.fail(err.message);
-            process.exit(1);
+            process.exit(getExitCode(err));
         }
     });
 
@@ -195,29 +248,30 @@ complete -c canvelete -n "__fish_use_subcommand" -a billing -d "View billing"
 complete -c canvelete -n "__fish_use_subcommand" -a config -d "CLI configuration"
 `);
         } else {
-            console.error(`Unknown shell: ${shell}`);
-            process.exit(1);
+            exitWithError(new UsageError(`Unknown shell: ${shell}`, { hint: 'Use bash, zsh or fish' }));
         }
     });
 
 // Error handling
-program.exitOverride();
-
 try {
     await program.parseAsync(process.argv);
 } catch (err) {
-    if (err.code === 'commander.help' || err.code === 'commander.version') {
+    if (err.code === 'commander.version') {
         process.exit(0);
     }
     
     if (err.code === 'commander.unknownCommand') {
         console.error(chalk.red(`Unknown command. Run 'canvelete --help' for usage.`));
-        process.exit(1);
+        process.exit(EXIT_CODES.VALIDATION);
     }
     
     if (program.opts().debug) {
         console.error(err);
     }
-    
-    process.exit(1);
+
+    // Commander has already printed its own usage errors (or the help)
+    if (typeof err.code === 'string' && err.code.startsWith('commander.')) {
+        process.exit(err.exitCode === 0 ? 0 : EXIT_CODES.VALIDATION);
+    }
+    exitWithError(err, { json: process.argv.includes('--json') });
 }
@@ -0,0 +1,20 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: globals.node,
+        },
+        rules: {
+            'no-unused-vars': ['error', { argsIgnorePattern: '^_', caughtErrors: 'none' }],
+            // Best-effort cleanup swallows errors with `catch {}`
+            'no-empty': ['error', { allowEmptyCatch: true }],
+            // File name sanitizing matches control characters on purpose
+            'no-control-regex': 'off',
+        },
+    },
+];
@@ -0,0 +1,21 @@
+/**
+ * API client for CLI commands
+ *
+ * Fills in the connection settings the SDK takes as options (API key, base
+ * URL, retries, timeout) from flags, the environment, the project config and
+ * the active profile. The SDK never loads this module, so it does not pull
+ * in the config, profile and credential stores.
+ */
+
+import CanveleteAPIClient from './client.js';
+import { getApiKey, getBaseUrl, getRetryAttempts, getRequestTimeout } from './config.js';
+
+export function createClient(options = {}) {
+    return new CanveleteAPIClient({
+        ...options,
+        apiKey: options.apiKey ?? getApiKey(),
+        baseUrl: options.baseUrl ?? getBaseUrl(),
+        retries: options.retries ?? getRetryAttempts(),
+        timeout: options.timeout ?? getRequestTimeout(),
+    });
+}
@@ -0,0 +1,398 @@
+/**
+ * Batch file input for Canvelete CLI
+ *
+ * `batch-render` reads its entries from a JSON array, NDJSON (one entry per
+ * line) or CSV. NDJSON and CSV are streamed a row at a time, so a file with
+ * tens of thousands of rows never has to fit in memory. Rows that cannot be
+ * turned into an entry are yielded with a BatchEntryError carrying the
+ * source line, rather than stopping the whole batch.
+ *
+ * CSV columns named after an entry field (designId, format, quality, ...)
+ * set that field; every other column goes into `data`, with dots in the
+ * header creating nested objects (`address.city`). A map file overrides
+ * this per column:
+ *
+ *   { "Full Name": "data.name", "Score": { "path": "data.score", "type": "number" }, "Notes": null }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { BatchEntryError } from './errors.js';
+import { interpolate } from './interpolate.js';
+import { getProjectEnv, readDataFile } from './project.js';
+
+export const BATCH_FORMATS = ['json', 'ndjson', 'csv'];
+
+export const COLUMN_TYPES = ['auto', 'string', 'number', 'integer', 'boolean', 'json'];
+
+// Entry fields a CSV column can set directly, with the type their values get
+const ENTRY_FIELDS = {
+    designId: 'string',
+    templateId: 'string',
+    format: 'string',
+    quality: 'integer',
+    width: 'integer',
+    height: 'integer',
+    output: 'string',
+};
+
+/**
+ * Format of a batch file: `format` if given, otherwise from the extension
+ * (.csv, .ndjson or .jsonl), defaulting to a JSON array
+ */
+export function detectBatchFormat(file, format) {
+    if (format) {
+        const normalized = format.toLowerCase() === 'jsonl' ? 'ndjson' : format.toLowerCase();
+        if (!BATCH_FORMATS.includes(normalized)) {
+            throw new Error(`Unknown batch file format "${format}". Use one of: ${BATCH_FORMATS.join(', ')}`);
+        }
+        return normalized;
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.csv') return 'csv';
+    if (extension === '.ndjson' || extension === '.jsonl') return 'ndjson';
+    return 'json';
+}
+
+/**
+ * Read a CSV column map file: an object from column header to a target
+ * path, `{ path, type }`, or null to ignore the column
+ */
+export function loadColumnMap(file) {
+    let map;
+    try {
+        map = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Failed to read map file: ${err.message}`);
+    }
+
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        throw new Error('Map file must contain an object of column names to paths');
+    }
+    return map;
+}
+
+/**
+ * Entries of a batch file, one `{ row, line, entry }` at a time, or
+ * `{ row, line, error }` for a row that could not be read. Rows are
+ * numbered from 1, not counting the CSV header or blank lines; only rows
+ * `fromRow` to `toRow` are read. Problems with the file as a whole (it
+ * cannot be opened, bad map, unterminated quote) are thrown.
+ */
+export async function* readBatchEntries(file, options = {}) {
+    const { map = null, fromRow = 1, toRow = Infinity, cwd = process.cwd() } = options;
+    const format = detectBatchFormat(file, options.format);
+    const range = { fromRow, toRow };
+
+    if (format === 'csv') {
+        yield* readCsvEntries(file, map, range, getProjectEnv(cwd));
+    } else if (format === 'ndjson') {
+        yield* readNdjsonEntries(file, range, getProjectEnv(cwd));
+    } else {
+        yield* readJsonEntries(file, range, cwd);
+    }
+}
+
+function* readJsonEntries(file, { fromRow, toRow }, cwd) {
+    const entries = readDataFile(file, cwd);
+    if (!Array.isArray(entries)) {
+        throw new Error('Batch file must contain an array of render configurations');
+    }
+
+    for (let index = fromRow - 1; index < Math.min(entries.length, toRow); index++) {
+        yield checkEntry(entries[index], index + 1, null);
+    }
+}
+
+async function* readNdjsonEntries(file, { fromRow, toRow }, vars) {
+    const stream = fs.createReadStream(file, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let line = 0;
+    let row = 0;
+
+    try {
+        for await (const text of lines) {
+            line++;
+            if (!text.trim()) continue;
+
+            row++;
+            if (row < fromRow) continue;
+            if (row > toRow) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line === 1 ? text.replace(/^\uFEFF/, '') : text);
+            } catch (err) {
+                yield rowError(`Invalid JSON: ${err.message}`, row, line);
+                continue;
+            }
+
+            const expanded = interpolate(entry, vars);
+            if (expanded.unresolved.length > 0) {
+                yield rowError(unresolvedMessage(expanded.unresolved), row, line);
+                continue;
+            }
+            yield checkEntry(expanded.value, row, line);
+        }
+    } finally {
+        lines.close();
+        stream.destroy();
+    }
+}
+
+async function* readCsvEntries(file, map, { fromRow, toRow }, vars) {
+    const stream = fs.createReadStream(file, { encoding: 'utf8' });
+    let columns = null;
+    let row = 0;
+
+    try {
+        for await (const { fields, line } of parseCsv(stream)) {
+            if (fields.length === 1 && fields[0] === '') continue;
+
+            if (!columns) {
+                columns = resolveColumns(fields, map);
+                continue;
+            }
+
+            row++;
+            if (row < fromRow) continue;
+            if (row > toRow) return;
+
+            if (fields.length > columns.length) {
+                yield rowError(`Expected ${columns.length} columns, found ${fields.length}`, row, line);
+                continue;
+            }
+
+            let result;
+            try {
+                result = checkEntry(buildEntry(columns, fields, vars), row, line);
+            } catch (err) {
+                result = rowError(err.message, row, line);
+            }
+            yield result;
+        }
+    } finally {
+        stream.destroy();
+    }
+}
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE = 3;
+
+/**
+ * Parse CSV (RFC 4180: quoted fields may contain commas, newlines and `""`)
+ * from a stream of string chunks, yielding `{ fields, line }` per record
+ * with the line the record starts on
+ */
+export async function* parseCsv(chunks) {
+    let state = FIELD_START;
+    let field = '';
+    let fields = [];
+    let line = 1;
+    let recordLine = 1;
+    let first = true;
+
+    for await (let chunk of chunks) {
+        if (first) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            first = false;
+        }
+
+        for (const char of chunk) {
+            if (state === QUOTED) {
+                if (char === '"') {
+                    state = QUOTE;
+                } else {
+                    field += char;
+                    if (char === '\n') line++;
+                }
+                continue;
+            }
+
+            if (state === QUOTE) {
+                if (char === '"') {
+                    field += '"';
+                    state = QUOTED;
+                    continue;
+                }
+                state = UNQUOTED;
+            }
+
+            if (char === ',') {
+                fields.push(field);
+                field = '';
+                state = FIELD_START;
+            } else if (char === '\n') {
+                fields.push(field);
+                yield { fields, line: recordLine };
+                fields = [];
+                field = '';
+                state = FIELD_START;
+                line++;
+                recordLine = line;
+            } else if (char === '"' && state === FIELD_START) {
+                state = QUOTED;
+            } else if (char !== '\r') {
+                field += char;
+                state = UNQUOTED;
+            }
+        }
+    }
+
+    if (state === QUOTED) {
+        throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+    if (state !== FIELD_START || fields.length > 0) {
+        fields.push(field);
+        yield { fields, line: recordLine };
+    }
+}
+
+// Keys that would reach Object.prototype instead of the entry
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Target path and type for each header column
+ */
+export function resolveColumns(header, map) {
+    const seen = new Set();
+    for (const name of header) {
+        if (seen.has(name)) {
+            throw new Error(`Duplicate column "${name}" in CSV header`);
+        }
+        seen.add(name);
+    }
+
+    if (map) {
+        const missing = Object.keys(map).filter(name => !seen.has(name));
+        if (missing.length > 0) {
+            throw new Error(`Map file refers to columns not in the CSV header: ${missing.join(', ')}`);
+        }
+    }
+
+    return header.map((name) => {
+        let target = map && Object.prototype.hasOwnProperty.call(map, name) ? map[name] : undefined;
+        if (target === null || target === false) {
+            return { name, path: null };
+        }
+        if (target === undefined) {
+            target = Object.prototype.hasOwnProperty.call(ENTRY_FIELDS, name) || name.startsWith('data.')
+                ? name
+                : `data.${name}`;
+        }
+        if (typeof target === 'string') {
+            target = { path: target };
+        }
+
+        const targetPath = String(target.path ?? '').split('.');
+        const isField = targetPath.length === 1 && Object.prototype.hasOwnProperty.call(ENTRY_FIELDS, targetPath[0]);
+        if (!isField && (targetPath[0] !== 'data' || targetPath.length < 2 || targetPath.includes(''))) {
+            throw new Error(`Column "${name}" maps to "${target.path}", which is neither an entry field nor under data`);
+        }
+        if (targetPath.some(key => UNSAFE_KEYS.includes(key))) {
+            throw new Error(`Column "${name}" maps to "${target.path}", which uses a reserved name`);
+        }
+
+        const type = target.type || (isField ? ENTRY_FIELDS[targetPath[0]] : 'auto');
+        if (!COLUMN_TYPES.includes(type)) {
+            throw new Error(`Column "${name}" has unknown type "${type}". Use one of: ${COLUMN_TYPES.join(', ')}`);
+        }
+        return { name, path: targetPath, type, isField };
+    });
+}
+
+function buildEntry(columns, fields, vars) {
+    const entry = {};
+
+    columns.forEach((column, index) => {
+        if (!column.path) return;
+
+        const raw = fields[index] ?? '';
+        const expanded = interpolate(raw, vars);
+        if (expanded.unresolved.length > 0) {
+            throw new Error(`${column.name}: unresolved variable \${${expanded.unresolved[0].name}}`);
+        }
+
+        // Empty cells are left out so the design's own value applies,
+        // except in data columns explicitly typed as strings
+        const value = expanded.value;
+        if (value === '' && (column.isField || column.type !== 'string')) return;
+
+        try {
+            setPath(entry, column.path, coerce(value, column.type));
+        } catch (err) {
+            throw new Error(`${column.name}: ${err.message}`);
+        }
+    });
+
+    return entry;
+}
+
+/**
+ * Convert a CSV cell to `type`. `auto` turns true/false into booleans and
+ * plain decimal numbers into numbers, but keeps values such as `007` or
+ * very long digit strings as text.
+ */
+export function coerce(value, type) {
+    switch (type) {
+        case 'number': {
+            const number = Number(value.trim());
+            if (value.trim() === '' || isNaN(number)) throw new Error(`"${value}" is not a number`);
+            return number;
+        }
+        case 'integer': {
+            const number = Number(value.trim());
+            if (!/^-?\d+$/.test(value.trim()) || !Number.isSafeInteger(number)) {
+                throw new Error(`"${value}" is not an integer`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (/^(true|yes|1)$/i.test(value.trim())) return true;
+            if (/^(false|no|0)$/i.test(value.trim())) return false;
+            throw new Error(`"${value}" is not a boolean`);
+        case 'json':
+            try {
+                return JSON.parse(value);
+            } catch (err) {
+                throw new Error(`invalid JSON: ${err.message}`);
+            }
+        case 'auto':
+            if (value === 'true' || value === 'false') return value === 'true';
+            if (/^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(value)) return Number(value);
+            return value;
+        default:
+            return value;
+    }
+}
+
+function setPath(target, keys, value) {
+    let node = target;
+    keys.slice(0, -1).forEach((key) => {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+}
+
+function checkEntry(entry, row, line) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return rowError('Entry must be an object', row, line);
+    }
+    if (!entry.designId && !entry.templateId) {
+        return rowError('Entry must have designId or templateId', row, line);
+    }
+    return { row, line, entry };
+}
+
+function rowError(message, row, line) {
+    return { row, line, error: new BatchEntryError(message, { row, line }) };
+}
+
+function unresolvedMessage(unresolved) {
+    return `Unresolved variables: ${unresolved.map(({ name }) => `\${${name}}`).join(', ')}`;
+}
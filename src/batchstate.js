@@ -0,0 +1,127 @@
+/**
+ * Batch render state for Canvelete CLI
+ *
+ * `batch-render` records what happened to every entry in a state file in
+ * the output directory, keyed by a hash of the entry: `pending` while its
+ * request is in flight (with the idempotency key it was sent with), then
+ * `done` with the output path and checksum, or `failed` with the error.
+ * A later run can then skip what is done (--resume) or rerun only what
+ * failed (--retry-failed), and an interrupted entry is retried with the
+ * same key so the API does not bill it twice. An entry the API rejected is
+ * retried with a new key, so the retry is not answered with the stored
+ * failure.
+ *
+ * The file is a journal of NDJSON records appended as entries change, so
+ * large batches do not rewrite the whole state per entry and a crash loses
+ * nothing; the last record for a hash wins. It is compacted to one record
+ * per entry when a run starts and ends.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { APIError } from './errors.js';
+import { createIdempotencyKey } from './idempotency.js';
+
+export const BATCH_STATE_FILE = '.canvelete-batch-state.ndjson';
+
+export class BatchState {
+    constructor(outputDir) {
+        this.dir = outputDir;
+        this.file = path.join(outputDir, BATCH_STATE_FILE);
+        this.entries = new Map();
+
+        if (fs.existsSync(this.file)) {
+            for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const record = JSON.parse(line);
+                    this.entries.set(record.hash, { ...this.entries.get(record.hash), ...record });
+                } catch {
+                    // A line cut short by a crash
+                }
+            }
+        }
+    }
+
+    get(hash) {
+        return this.entries.get(hash) || null;
+    }
+
+    /**
+     * Whether the entry rendered in an earlier run and its output is still
+     * there (or, for async jobs, was submitted)
+     */
+    isDone(hash) {
+        const record = this.get(hash);
+        if (record?.status !== 'done') return false;
+        if (record.jobId) return true;
+
+        try {
+            return fs.statSync(path.resolve(this.dir, record.output)).size === record.bytes;
+        } catch {
+            return false;
+        }
+    }
+
+    isFailed(hash) {
+        return this.get(hash)?.status === 'failed';
+    }
+
+    /**
+     * Mark the entry as in flight and return the idempotency key to send,
+     * reusing the one from an unfinished earlier attempt
+     */
+    start(hash, row) {
+        const idempotencyKey = this.get(hash)?.idempotencyKey || createIdempotencyKey();
+        this.update(hash, { row, status: 'pending', idempotencyKey, error: null });
+        return idempotencyKey;
+    }
+
+    complete(hash, { outputPath, checksum, bytes, jobId }) {
+        this.update(hash, {
+            status: 'done',
+            output: outputPath ? path.relative(this.dir, outputPath) : null,
+            checksum: checksum ?? null,
+            bytes: bytes ?? null,
+            jobId: jobId ?? null,
+            idempotencyKey: null,
+            error: null,
+        });
+    }
+
+    /**
+     * Record a failure. After an API error response the key is dropped, as
+     * the API may have stored that response under it. Otherwise (network
+     * error, timeout, writing the output) the request may have rendered,
+     * and the key is kept so retrying does not render twice.
+     */
+    fail(hash, err) {
+        const answered = err instanceof APIError;
+        this.update(hash, {
+            status: 'failed',
+            idempotencyKey: answered ? null : this.get(hash)?.idempotencyKey ?? null,
+            error: { message: err.message, code: err.code ?? null, exitCode: err.exitCode ?? null },
+        });
+    }
+
+    update(hash, changes) {
+        const record = { hash, ...this.get(hash), ...changes, updatedAt: new Date().toISOString() };
+        this.entries.set(hash, record);
+        fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    }
+
+    /**
+     * Rewrite the journal with one record per entry
+     */
+    compact() {
+        if (this.entries.size === 0) {
+            fs.rmSync(this.file, { force: true });
+            return;
+        }
+
+        const tempPath = `${this.file}.tmp`;
+        const lines = [...this.entries.values()].map(record => `${JSON.stringify(record)}\n`);
+        fs.writeFileSync(tempPath, lines.join(''));
+        fs.renameSync(tempPath, this.file);
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Record/replay cassettes for Canvelete CLI
+ *
+ * CANVELETE_RECORD=<dir> saves every API exchange to <dir>; CANVELETE_REPLAY=<dir>
+ * answers requests from those recordings without touching the network.
+ * CANVELETE_CASSETTE_MATCH picks which parts of a request must match
+ * (comma-separated: method, path, query, body; default all four).
+ * Secret fields in JSON bodies are redacted the same way as in --debug and
+ * --har output before anything is written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { slugify } from './filename.js';
+import { sortKeys } from './idempotency.js';
+import { isTextual, redactBody } from './trace.js';
+
+const DEFAULT_MATCH = ['method', 'path', 'query', 'body'];
+const MATCH_RULES = ['method', 'path', 'query', 'body'];
+
+export function getCassetteFetch(baseFetch = globalThis.fetch) {
+    const match = parseMatchRules(process.env.CANVELETE_CASSETTE_MATCH);
+
+    if (process.env.CANVELETE_REPLAY) {
+        return createReplayFetch(process.env.CANVELETE_REPLAY, match);
+    }
+    if (process.env.CANVELETE_RECORD) {
+        return createRecordFetch(process.env.CANVELETE_RECORD, baseFetch);
+    }
+    return null;
+}
+
+export function isReplaying() {
+    return Boolean(process.env.CANVELETE_REPLAY);
+}
+
+function parseMatchRules(value) {
+    if (!value) return DEFAULT_MATCH;
+
+    const rules = value.split(',').map(rule => rule.trim()).filter(Boolean);
+    const unknown = rules.filter(rule => !MATCH_RULES.includes(rule));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown cassette match rule: ${unknown.join(', ')}. Use: ${MATCH_RULES.join(', ')}`);
+    }
+    return rules;
+}
+
+// Recording counters and replay queues per cassette directory, so every
+// client in the process (e.g. source and target in `designs promote`)
+// numbers and consumes interactions from the same sequence
+const recorders = new Map();
+const players = new Map();
+
+export function createRecordFetch(dir, baseFetch = globalThis.fetch) {
+    fs.mkdirSync(dir, { recursive: true });
+    const key = path.resolve(dir);
+    if (!recorders.has(key)) {
+        recorders.set(key, { index: fs.readdirSync(dir).filter(f => f.endsWith('.json')).length });
+    }
+    const recorder = recorders.get(key);
+
+    return async (url, init = {}) => {
+        const response = await baseFetch(url, init);
+        const body = Buffer.from(await response.arrayBuffer());
+        const headers = Object.fromEntries(response.headers);
+        // The body is stored decoded, so transport encodings no longer apply
+        delete headers['content-encoding'];
+        delete headers['transfer-encoding'];
+        const parsed = new URL(url);
+
+        const name = `${String(++recorder.index).padStart(4, '0')}-${init.method || 'GET'}-${slugify(parsed.pathname).substring(0, 60) || 'root'}`;
+        const interaction = {
+            request: {
+                method: init.method || 'GET',
+                path: parsed.pathname,
+                query: parsed.search,
+                body: typeof init.body === 'string' ? redactBody(init.body) : null,
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers,
+            },
+        };
+
+        if (isTextual(headers['content-type'])) {
+            interaction.response.body = redactBody(body.toString('utf8'));
+        } else {
+            interaction.response.bodyFile = `${name}.body`;
+            fs.writeFileSync(path.join(dir, interaction.response.bodyFile), body);
+        }
+
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(interaction, null, 2));
+
+        return new Response(nullBodyStatus(response.status) ? null : body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+        });
+    };
+}
+
+/**
+ * Interactions are replayed in recording order: each request takes the first
+ * unused recording that matches, so repeated identical calls (e.g. polling
+ * `renders status`) get their recorded responses in sequence.
+ */
+export function createReplayFetch(dir, match = DEFAULT_MATCH) {
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Cassette directory not found: ${dir}`);
+    }
+
+    const key = path.resolve(dir);
+    if (!players.has(key)) {
+        players.set(key, fs.readdirSync(dir)
+            .filter(f => f.endsWith('.json'))
+            .sort()
+            .map(f => ({ file: f, used: false, ...JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')) })));
+    }
+    const interactions = players.get(key);
+
+    return async (url, init = {}) => {
+        if (init.signal?.aborted) {
+            throw init.signal.reason;
+        }
+
+        const parsed = new URL(url);
+        const request = {
+            method: init.method || 'GET',
+            path: parsed.pathname,
+            query: parsed.search,
+            body: typeof init.body === 'string' ? init.body : null,
+        };
+
+        const interaction = interactions.find(i => !i.used && matches(i.request, request, match));
+        if (!interaction) {
+            const err = new Error(`No recorded response for ${request.method} ${request.path}${request.query} in ${dir}`);
+            err.code = 'ECASSETTE';
+            throw err;
+        }
+        interaction.used = true;
+
+        const { status, statusText, headers, body, bodyFile } = interaction.response;
+        const content = bodyFile ? fs.readFileSync(path.join(dir, bodyFile)) : body;
+
+        return new Response(nullBodyStatus(status) ? null : content, { status, statusText, headers });
+    };
+}
+
+function matches(recorded, actual, rules) {
+    return rules.every(rule => {
+        if (rule === 'query') {
+            return normalizeQuery(recorded.query) === normalizeQuery(actual.query);
+        }
+        if (rule === 'body') {
+            // Recorded bodies are redacted, so compare against the redacted request
+            return normalizeBody(recorded.body) === normalizeBody(redactBody(actual.body));
+        }
+        return recorded[rule] === actual[rule];
+    });
+}
+
+function normalizeQuery(query) {
+    const params = [...new URLSearchParams(query || '')];
+    params.sort(([a], [b]) => a.localeCompare(b));
+    return new URLSearchParams(params).toString();
+}
+
+function normalizeBody(body) {
+    if (!body) return '';
+    try {
+        return JSON.stringify(sortKeys(JSON.parse(body)));
+    } catch {
+        return body;
+    }
+}
+
+function nullBodyStatus(status) {
+    return status === 204 || status === 205 || status === 304;
+}
@@ -2,26 +2,60 @@
  * API Client for Canvelete CLI
  */
 
-import { getApiKey, getBaseUrl } from './config.js';
-import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import FormData from 'form-data';
+import { getSessionSignal } from './session.js';
+import { writeResponseToFile } from './download.js';
+import { CanveleteError, NetworkError, TimeoutError, createAPIError } from './errors.js';
+import { isTracing, traceExchange } from './trace.js';
+import { getCassetteFetch } from './cassette.js';
+import { parseRateLimit } from './ratelimit.js';
+import { createIdempotencyKey } from './idempotency.js';
+
+export const DEFAULT_BASE_URL = 'https://api.canvelete.com';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const MAX_RETRY_DELAY = 30000;
+const PAGE_SIZE = 100;
 
 class CanveleteAPIClient {
-    constructor() {
-        this.apiKey = getApiKey();
-        this.baseUrl = getBaseUrl();
+    constructor(options = {}) {
+        this.apiKey = options.apiKey ?? '';
+        this.baseUrl = (options.baseUrl ?? DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.retries = options.retries ?? 3;
+        this.retryDelay = options.retryDelay ?? 500;
+        this.timeout = options.timeout ?? 120;
+        this.signal = options.signal ?? getSessionSignal();
+        this.fetch = getCassetteFetch(options.fetch) || options.fetch || globalThis.fetch;
+        this.limiter = options.limiter ?? null;
+        this.rateLimit = null;
     }
 
     async request(method, endpoint, options = {}) {
-        const url = `${this.baseUrl}${endpoint}`;
+        // Absolute URLs (e.g. asset files on a CDN) are fetched as-is, and
+        // only get the API key if they point at the API itself
+        const absolute = /^https?:\/\//.test(endpoint);
+        let url = absolute ? endpoint : `${this.baseUrl}${endpoint}`;
+        const isApi = !absolute || url.startsWith(`${this.baseUrl}/`);
         const headers = {
-            'Authorization': `Bearer ${this.apiKey}`,
             'User-Agent': 'canvelete-cli/2.0.0',
         };
 
+        if (isApi) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
         if (options.json) {
             headers['Content-Type'] = 'application/json';
         }
 
+        if (options.idempotencyKey) {
+            headers['Idempotency-Key'] = options.idempotencyKey;
+        }
+
         const fetchOptions = {
             method,
             headers,
@@ -34,26 +68,172 @@ class CanveleteAPIClient {
         if (options.params) {
             const searchParams = new URLSearchParams(options.params);
             const separator = url.includes('?') ? '&' : '?';
-            const fullUrl = `${url}${separator}${searchParams}`;
-            const response = await fetch(fullUrl, fetchOptions);
-            return this.handleResponse(response, options.binary);
+            url = `${url}${separator}${searchParams}`;
+        }
+
+        // Only retry calls that are safe to repeat. A 429 means the server
+        // refused the request outright, so it is retried for any method.
+        const canRetry = IDEMPOTENT_METHODS.includes(method) || Boolean(options.idempotencyKey);
+        const maxRetries = options.retries ?? this.retries;
+
+        const timeout = options.timeout ?? this.timeout;
+        const fetchImpl = this.fetch;
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                const attemptSignal = this.createAttemptSignal(timeout);
+                const startedAt = new Date();
+                // What goes on the wire: multipart uploads add form-data's
+                // content type (with its boundary) and stream their body
+                let sent = { headers, body: fetchOptions.body };
+                const trace = isTracing()
+                    ? (result) => traceExchange({ method, url, ...sent, startedAt, ...result })
+                    : null;
+
+                try {
+                    let response;
+                    try {
+                        const multipart = options.multipart && buildMultipart(options.multipart(), headers);
+                        if (multipart) {
+                            sent = { headers: multipart.headers, body: null };
+                        }
+                        response = await fetchImpl(url, {
+                            ...fetchOptions,
+                            ...multipart,
+                            signal: attemptSignal.signal,
+                        });
+                        if (trace) await trace({ response });
+                    } catch (err) {
+                        if (trace) await trace({ error: err });
+                        if (this.signal.aborted) {
+                            throw this.signal.reason;
+                        }
+                        // A replay miss would only miss again
+                        if (!canRetry || attempt >= maxRetries || err.code === 'ECASSETTE') {
+                            throw toNetworkError(err, method, url);
+                        }
+                        await sleep(this.getRetryDelay(attempt), this.signal);
+                        continue;
+                    }
+
+                    if (isApi) {
+                        this.recordRateLimit(response);
+                    }
+
+                    const retryable = RETRYABLE_STATUSES.includes(response.status)
+                        && (canRetry || response.status === 429);
+
+                    if (!retryable || attempt >= maxRetries) {
+                        return await this.handleResponse(response, options);
+                    }
+
+                    await response.body?.cancel();
+                    await sleep(this.getRetryDelay(attempt, response), this.signal);
+                } finally {
+                    attemptSignal.clear();
+                }
+            }
+        } catch (err) {
+            // Lets the caller retry later with the same key
+            if (options.idempotencyKey && err instanceof CanveleteError) {
+                err.idempotencyKey = options.idempotencyKey;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Signal for a single attempt: aborted by the session (Ctrl+C, --max-time)
+     * or when the per-request timeout elapses, whichever comes first
+     */
+    createAttemptSignal(timeoutSeconds) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(this.signal.reason);
+
+        if (this.signal.aborted) {
+            onAbort();
+        } else {
+            this.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const timer = timeoutSeconds > 0
+            ? setTimeout(() => {
+                controller.abort(new TimeoutError(`Request timed out after ${timeoutSeconds}s`));
+            }, timeoutSeconds * 1000)
+            : null;
+
+        return {
+            signal: controller.signal,
+            clear: () => {
+                clearTimeout(timer);
+                this.signal.removeEventListener('abort', onAbort);
+            },
+        };
+    }
+
+    /**
+     * Remember the latest rate-limit budget and report it to the limiter
+     */
+    recordRateLimit(response) {
+        const rateLimit = parseRateLimit(response.headers);
+        if (rateLimit) {
+            this.rateLimit = rateLimit;
+        }
+        if (this.limiter) {
+            const retryAfter = parseInt(response.headers.get('retry-after'));
+            this.limiter.observe(response.status, rateLimit, isNaN(retryAfter) ? null : retryAfter);
+        }
+    }
+
+    /**
+     * Exponential backoff with full jitter, honoring Retry-After when present
+     */
+    getRetryDelay(attempt, response) {
+        const retryAfter = response?.headers.get('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = isNaN(seconds)
+                ? new Date(retryAfter).getTime() - Date.now()
+                : seconds * 1000;
+            if (!isNaN(delay)) {
+                return Math.min(Math.max(delay, 0), MAX_RETRY_DELAY);
+            }
         }
 
-        const response = await fetch(url, fetchOptions);
-        return this.handleResponse(response, options.binary);
+        const backoff = Math.min(this.retryDelay * 2 ** attempt, MAX_RETRY_DELAY);
+        return Math.random() * backoff;
     }
 
-    async handleResponse(response, binary = false) {
+    async handleResponse(response, { binary = false, stream = false } = {}) {
         if (!response.ok) {
             let errorMessage = `HTTP ${response.status}`;
+            let errorData = null;
             try {
-                const errorData = await response.json();
-                errorMessage = errorData.error || errorData.message || errorMessage;
+                const text = await response.text();
+                try {
+                    errorData = JSON.parse(text);
+                    errorMessage = errorData.error || errorData.message || errorMessage;
+                } catch {
+                    errorData = text || null;
+                }
             } catch {}
-            
-            const error = new Error(errorMessage);
-            error.status = response.status;
-            throw error;
+
+            if (typeof errorMessage !== 'string') {
+                errorMessage = errorMessage.message || JSON.stringify(errorMessage);
+            }
+
+            const retryAfter = parseInt(response.headers.get('retry-after'));
+            throw createAPIError(response.status, errorMessage, {
+                requestId: response.headers.get('x-request-id')
+                    || response.headers.get('request-id')
+                    || errorData?.requestId,
+                body: errorData,
+                retryAfter: isNaN(retryAfter) ? undefined : retryAfter,
+            });
+        }
+
+        if (stream) {
+            return response;
         }
 
         if (binary) {
@@ -63,6 +243,50 @@ class CanveleteAPIClient {
         return response.json();
     }
 
+    /**
+     * Iterate over every item of a paginated list method, e.g.
+     * `for await (const design of client.paginate('listDesigns')) { ... }`
+     */
+    async *paginate(method, options = {}) {
+        const limit = options.limit || PAGE_SIZE;
+        let page = options.page || 1;
+        let fetched = 0;
+
+        while (true) {
+            const result = await this[method]({ ...options, page, limit });
+            const items = result.data || [];
+            const pagination = result.pagination || {};
+
+            for (const item of items) {
+                yield item;
+            }
+            fetched += items.length;
+
+            if (items.length === 0 || pagination.hasMore === false) return;
+            if (pagination.totalPages && page >= pagination.totalPages) return;
+            if (pagination.total !== undefined) {
+                if (fetched >= pagination.total) return;
+            } else if (items.length < (pagination.limit || limit)) {
+                return;
+            }
+
+            page++;
+        }
+    }
+
+    /**
+     * Collect all pages of a list method into a single result
+     */
+    async listAll(method, options = {}, { maxItems, onProgress } = {}) {
+        const data = [];
+        for await (const item of this.paginate(method, options)) {
+            data.push(item);
+            if (onProgress) onProgress(data.length);
+            if (maxItems && data.length >= maxItems) break;
+        }
+        return { data, pagination: { total: data.length } };
+    }
+
     // Designs
     async listDesigns(options = {}) {
         const params = {
@@ -79,8 +303,8 @@ class CanveleteAPIClient {
         return this.request('GET', `/api/automation/designs/${id}`);
     }
 
-    async createDesign(data) {
-        return this.request('POST', '/api/automation/designs', { json: data });
+    async createDesign(data, { idempotencyKey = createIdempotencyKey() } = {}) {
+        return this.request('POST', '/api/automation/designs', { json: data, idempotencyKey });
     }
 
     async updateDesign(id, data) {
@@ -91,9 +315,10 @@ class CanveleteAPIClient {
         return this.request('DELETE', `/api/automation/designs/${id}`);
     }
 
-    async duplicateDesign(id, newName) {
+    async duplicateDesign(id, newName, { idempotencyKey = createIdempotencyKey() } = {}) {
         return this.request('POST', `/api/automation/designs/${id}/duplicate`, { 
-            json: { name: newName } 
+            json: { name: newName },
+            idempotencyKey
         });
     }
 
@@ -115,19 +340,28 @@ class CanveleteAPIClient {
 
     // Render - uses backend API directly at /api/v1/render
     async render(options) {
-        const data = {
-            format: options.format || 'png',
-            quality: options.quality || 90,
-        };
-        
-        if (options.designId) data.designId = options.designId;
-        if (options.templateId) data.templateId = options.templateId;
-        if (options.dynamicData) data.dynamicData = options.dynamicData;
-        if (options.dynamicElements) data.dynamicElements = options.dynamicElements;
-        if (options.width) data.width = options.width;
-        if (options.height) data.height = options.height;
+        return this.request('POST', '/api/v1/render', {
+            json: buildRenderData(options),
+            binary: true,
+            idempotencyKey: options.idempotencyKey || createIdempotencyKey()
+        });
+    }
 
-        return this.request('POST', '/api/v1/render', { json: data, binary: true });
+    /**
+     * Render straight to disk without buffering the output in memory.
+     * Resolves with { path, bytes, checksum }.
+     */
+    async renderToFile(options, outputPath, downloadOptions = {}) {
+        const response = await this.request('POST', '/api/v1/render', {
+            json: buildRenderData(options),
+            stream: true,
+            idempotencyKey: options.idempotencyKey || createIdempotencyKey()
+        });
+        return writeResponseToFile(response, outputPath, {
+            signal: this.signal,
+            timeout: this.timeout,
+            ...downloadOptions
+        });
     }
 
     async renderAsync(options) {
@@ -141,14 +375,32 @@ class CanveleteAPIClient {
         if (options.templateId) data.templateId = options.templateId;
         if (options.dynamicData) data.dynamicData = options.dynamicData;
         if (options.dynamicElements) data.dynamicElements = options.dynamicElements;
+        if (options.callbackUrl) data.callbackUrl = options.callbackUrl;
 
-        return this.request('POST', '/api/v1/render/async', { json: data });
+        return this.request('POST', '/api/v1/render/async', {
+            json: data,
+            idempotencyKey: options.idempotencyKey || createIdempotencyKey()
+        });
     }
 
     async getRenderStatus(jobId) {
         return this.request('GET', `/api/v1/render/status/${jobId}`);
     }
 
+    /**
+     * Stream the output of a completed async render job to disk.
+     * Resolves with { path, bytes, checksum }.
+     */
+    async downloadRenderOutput(job, outputPath, downloadOptions = {}) {
+        const source = job.outputUrl || `/api/v1/render/download/${job.id || job.jobId}`;
+        const response = await this.request('GET', source, { stream: true });
+        return writeResponseToFile(response, outputPath, {
+            signal: this.signal,
+            timeout: this.timeout,
+            ...downloadOptions
+        });
+    }
+
     async listRenders(options = {}) {
         const params = {
             page: options.page || 1,
@@ -168,6 +420,55 @@ class CanveleteAPIClient {
         return this.request('GET', '/api/assets/library', { params });
     }
 
+    async getAsset(id) {
+        return this.request('GET', `/api/assets/${id}`);
+    }
+
+    /**
+     * Stream an asset's file to disk. Resolves with { path, bytes, checksum }.
+     */
+    async downloadAsset(asset, outputPath, downloadOptions = {}) {
+        const source = asset.url || `/api/assets/${asset.id}/download`;
+        const response = await this.request('GET', source, { stream: true });
+        return writeResponseToFile(response, outputPath, {
+            signal: this.signal,
+            timeout: this.timeout,
+            ...downloadOptions
+        });
+    }
+
+    /**
+     * Upload a local file to the asset library as multipart form-data
+     */
+    async uploadAsset(filePath, options = {}) {
+        const size = fs.statSync(filePath).size;
+        const name = options.name || path.basename(filePath);
+
+        return this.request('POST', '/api/assets/upload', {
+            // Built per attempt, since a streamed body can only be sent once
+            multipart: () => {
+                let bytes = 0;
+                const counter = new PassThrough();
+                counter.on('data', (chunk) => {
+                    bytes += chunk.length;
+                    if (options.onProgress) options.onProgress({ bytes, total: size });
+                });
+                fs.createReadStream(filePath).pipe(counter);
+
+                const form = new FormData();
+                form.append('file', counter, {
+                    filename: name,
+                    contentType: options.contentType,
+                    knownLength: size,
+                });
+                form.append('name', name);
+                if (options.type) form.append('type', options.type);
+                if (options.checksum) form.append('checksum', options.checksum);
+                return form;
+            }
+        });
+    }
+
     async deleteAsset(id) {
         return this.request('DELETE', `/api/assets/${id}`);
     }
@@ -205,10 +506,10 @@ class CanveleteAPIClient {
         return this.request('GET', '/api/automation/api-keys', { params });
     }
 
-    async createApiKey(name, expiresAt) {
+    async createApiKey(name, expiresAt, { idempotencyKey = createIdempotencyKey() } = {}) {
         const data = { name };
         if (expiresAt) data.expiresAt = expiresAt;
-        return this.request('POST', '/api/automation/api-keys', { json: data });
+        return this.request('POST', '/api/automation/api-keys', { json: data, idempotencyKey });
     }
 
     async revokeApiKey(id) {
@@ -269,10 +570,69 @@ class CanveleteAPIClient {
             binary: true
         });
     }
+
+    async exportDesignToFile(designId, format, quality, outputPath, downloadOptions = {}) {
+        const response = await this.request('POST', `/api/automation/designs/${designId}/export`, {
+            json: { format, quality },
+            stream: true
+        });
+        return writeResponseToFile(response, outputPath, {
+            signal: this.signal,
+            timeout: this.timeout,
+            ...downloadOptions
+        });
+    }
+}
+
+function buildMultipart(form, headers) {
+    const body = new PassThrough();
+    form.pipe(body);
+    return {
+        headers: { ...headers, ...form.getHeaders() },
+        body: Readable.toWeb(body),
+        duplex: 'half',
+    };
 }
 
-export function createClient() {
-    return new CanveleteAPIClient();
+function toNetworkError(err, method, url) {
+    if (err instanceof NetworkError) return err;
+    const reason = err.cause?.code || err.cause?.message || err.message;
+    return new NetworkError(`${method} ${url} failed: ${reason}`, { cause: err });
+}
+
+function buildRenderData(options) {
+    const data = {
+        format: options.format || 'png',
+        quality: options.quality || 90,
+    };
+
+    if (options.designId) data.designId = options.designId;
+    if (options.templateId) data.templateId = options.templateId;
+    if (options.dynamicData) data.dynamicData = options.dynamicData;
+    if (options.dynamicElements) data.dynamicElements = options.dynamicElements;
+    if (options.width) data.width = options.width;
+    if (options.height) data.height = options.height;
+
+    return data;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
+export * from './errors.js';
 export default CanveleteAPIClient;
@@ -5,11 +5,12 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
-import { createClient } from '../client.js';
+import { createClient } from '../api.js';
 import { requireAuth } from '../config.js';
+import { createIdempotencyKey } from '../idempotency.js';
 import { 
     formatJson, formatApiKeysTable,
-    success, error, info, warn 
+    exitWithError, success, info 
 } from '../output.js';
 
 export function registerApiKeyCommands(program) {
@@ -24,16 +25,23 @@ export function registerApiKeyCommands(program) {
         .alias('ls')
         .description('List your API keys')
         .option('-l, --limit <number>', 'Number of results', '20')
+        .option('--all', 'Fetch all pages')
+        .option('--max-items <number>', 'Maximum number of results when fetching all pages')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching API keys...').start();
 
             try {
                 const client = createClient();
-                const result = await client.listApiKeys({
-                    limit: parseInt(options.limit),
-                });
+                const result = options.all || options.maxItems
+                    ? await client.listAll('listApiKeys', {}, {
+                        maxItems: parseInt(options.maxItems) || undefined,
+                        onProgress: (count) => { spinner.text = `Fetching API keys... (${count})`; },
+                    })
+                    : await client.listApiKeys({
+                        limit: parseInt(options.limit),
+                    });
 
                 spinner.stop();
 
@@ -51,8 +59,7 @@ export function registerApiKeyCommands(program) {
                 console.log(formatApiKeysTable(keys));
             } catch (err) {
                 spinner.fail('Failed to fetch API keys');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -62,9 +69,10 @@ export function registerApiKeyCommands(program) {
         .description('Create a new API key')
         .option('-n, --name <name>', 'Key name')
         .option('-e, --expires <date>', 'Expiration date (ISO format)')
+        .option('--idempotency-key <key>', 'Reuse the key of an earlier attempt so a retry is not applied twice')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
 
             let name = options.name;
             if (!name) {
@@ -81,13 +89,15 @@ export function registerApiKeyCommands(program) {
 
             const spinner = ora('Creating API key...').start();
 
+            const idempotencyKey = options.idempotencyKey || createIdempotencyKey();
+
             try {
                 const client = createClient();
-                const result = await client.createApiKey(name, options.expires);
+                const result = await client.createApiKey(name, options.expires, { idempotencyKey });
                 spinner.stop();
 
                 if (options.json) {
-                    console.log(formatJson(result));
+                    console.log(formatJson({ ...result, idempotencyKey }));
                     return;
                 }
 
@@ -100,8 +110,7 @@ export function registerApiKeyCommands(program) {
                 console.log(chalk.gray(`ID: ${key.id}`));
             } catch (err) {
                 spinner.fail('Failed to create API key');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -112,7 +121,7 @@ export function registerApiKeyCommands(program) {
         .description('Revoke an API key')
         .option('-f, --force', 'Skip confirmation')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.force) {
                 const { confirm } = await inquirer.prompt([
@@ -139,8 +148,7 @@ export function registerApiKeyCommands(program) {
                 success('API key revoked successfully');
             } catch (err) {
                 spinner.fail('Failed to revoke API key');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 }
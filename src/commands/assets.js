@@ -2,15 +2,42 @@
  * Asset commands
  */
 
+import fs from 'fs';
+import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
-import { createClient } from '../client.js';
+import { createClient } from '../api.js';
 import { requireAuth } from '../config.js';
+import { expandGlobs } from '../glob.js';
+import { assetFileName, hashFile } from '../download.js';
+import { runWithConcurrency } from '../concurrency.js';
+import { UsageError, getExitCode } from '../errors.js';
 import { 
-    formatJson, formatAssetsTable,
-    success, error, info 
+    formatJson, formatAssetsTable, formatBytes, formatProgress,
+    exitWithError, success, info, warn 
 } from '../output.js';
 
+const MANIFEST_FILE = 'canvelete-assets.json';
+
+const ASSET_TYPES = {
+    IMAGE: {
+        png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+        webp: 'image/webp', svg: 'image/svg+xml', bmp: 'image/bmp', tif: 'image/tiff',
+        tiff: 'image/tiff', avif: 'image/avif', ico: 'image/x-icon',
+    },
+    FONT: {
+        ttf: 'font/ttf', otf: 'font/otf', woff: 'font/woff', woff2: 'font/woff2',
+    },
+    VIDEO: {
+        mp4: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm', avi: 'video/x-msvideo',
+        mkv: 'video/x-matroska', m4v: 'video/x-m4v',
+    },
+    AUDIO: {
+        mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', m4a: 'audio/mp4',
+        aac: 'audio/aac', flac: 'audio/flac',
+    },
+};
+
 export function registerAssetCommands(program) {
     const assets = program
         .command('assets')
@@ -24,18 +51,25 @@ export function registerAssetCommands(program) {
         .option('-l, --limit <number>', 'Number of results', '20')
         .option('-p, --page <number>', 'Page number', '1')
         .option('-t, --type <type>', 'Filter by type (IMAGE, FONT, VIDEO, AUDIO)')
+        .option('--all', 'Fetch all pages')
+        .option('--max-items <number>', 'Maximum number of results when fetching all pages')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching assets...').start();
 
             try {
                 const client = createClient();
-                const result = await client.listAssets({
-                    limit: parseInt(options.limit),
-                    page: parseInt(options.page),
-                    type: options.type,
-                });
+                const result = options.all || options.maxItems
+                    ? await client.listAll('listAssets', { type: options.type }, {
+                        maxItems: parseInt(options.maxItems) || undefined,
+                        onProgress: (count) => { spinner.text = `Fetching assets... (${count})`; },
+                    })
+                    : await client.listAssets({
+                        limit: parseInt(options.limit),
+                        page: parseInt(options.page),
+                        type: options.type,
+                    });
 
                 spinner.stop();
 
@@ -53,8 +87,295 @@ export function registerAssetCommands(program) {
                 console.log(formatAssetsTable(assets));
             } catch (err) {
                 spinner.fail('Failed to fetch assets');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
+            }
+        });
+
+    // Upload assets
+    assets
+        .command('upload <files...>')
+        .description('Upload files to your asset library (globs supported)')
+        .option('-t, --type <type>', 'Asset type (IMAGE, FONT, VIDEO, AUDIO); detected from extension by default')
+        .option('-c, --concurrency <number>', 'Number of parallel uploads', '3')
+        .option('--no-dedupe', 'Upload even if an identical asset already exists')
+        .option('--json', 'Output as JSON')
+        .action(async (patterns, options) => {
+            await requireAuth();
+
+            const files = expandGlobs(patterns)
+                .filter(file => fs.existsSync(file) && fs.statSync(file).isFile());
+
+            if (files.length === 0) {
+                exitWithError(new UsageError('No matching files found'), options);
+            }
+
+            const uploads = [];
+            for (const file of files) {
+                const type = options.type ? options.type.toUpperCase() : detectAssetType(file);
+                if (!ASSET_TYPES[type]) {
+                    if (!options.json) {
+                        warn(`Skipping ${file}: unsupported file type (use --type to override)`);
+                    }
+                    continue;
+                }
+                uploads.push({ file, type, contentType: getContentType(file) });
+            }
+
+            if (uploads.length === 0) {
+                exitWithError(new UsageError('No uploadable files'), options);
+            }
+
+            const client = createClient();
+            const spinner = ora(`Checking ${uploads.length} files...`).start();
+            const existing = new Map();
+
+            try {
+                for (const upload of uploads) {
+                    upload.checksum = await hashFile(upload.file);
+                }
+
+                if (options.dedupe) {
+                    spinner.text = 'Checking for existing assets...';
+                    for await (const asset of client.paginate('listAssets')) {
+                        if (asset.checksum) existing.set(asset.checksum, asset);
+                    }
+                }
+            } catch (err) {
+                spinner.fail('Failed to prepare upload');
+                exitWithError(err, options);
+            }
+
+            const inFlight = new Map();
+            let finished = 0;
+
+            const updateSpinner = () => {
+                const current = [...inFlight].map(([name, pct]) => `${name} ${pct}%`).join(', ');
+                spinner.text = `Uploading (${finished}/${uploads.length}) ${current}`;
+            };
+
+            const report = (line) => {
+                if (options.json) return;
+                spinner.clear();
+                console.log(line);
+            };
+
+            const results = await runWithConcurrency(uploads, parseInt(options.concurrency) || 1, async (upload) => {
+                const name = path.basename(upload.file);
+                const duplicate = existing.get(upload.checksum);
+
+                if (duplicate) {
+                    finished++;
+                    report(chalk.gray(`- ${name} already uploaded (${duplicate.id})`));
+                    return { file: upload.file, id: duplicate.id, name: duplicate.name, type: duplicate.type, status: 'duplicate' };
+                }
+
+                inFlight.set(name, 0);
+                updateSpinner();
+
+                try {
+                    const result = await client.uploadAsset(upload.file, {
+                        type: upload.type,
+                        contentType: upload.contentType,
+                        checksum: upload.checksum,
+                        onProgress: ({ bytes, total }) => {
+                            inFlight.set(name, total ? Math.round(bytes / total * 100) : 0);
+                            updateSpinner();
+                        },
+                    });
+                    const asset = result.data || result;
+                    existing.set(upload.checksum, asset);
+
+                    report(`${chalk.green('✓')} ${name} → ${asset.id} ${chalk.gray(`(${formatBytes(fs.statSync(upload.file).size)})`)}`);
+                    return { file: upload.file, id: asset.id, name: asset.name || name, type: asset.type || upload.type, status: 'uploaded' };
+                } catch (err) {
+                    report(`${chalk.red('✗')} ${name}: ${err.message}`);
+                    return { file: upload.file, status: 'failed', error: err };
+                } finally {
+                    inFlight.delete(name);
+                    finished++;
+                    updateSpinner();
+                }
+            });
+
+            spinner.stop();
+
+            const failures = results.filter(r => r.status === 'failed');
+
+            if (options.json) {
+                console.log(formatJson({
+                    data: results.map(r => r.error
+                        ? { ...r, error: r.error.toJSON?.() || { message: r.error.message } }
+                        : r)
+                }));
+            } else {
+                const uploaded = results.filter(r => r.status === 'uploaded').length;
+                const duplicates = results.filter(r => r.status === 'duplicate').length;
+                console.log(chalk.bold(`\nUpload complete: ${chalk.green(uploaded)} uploaded, ${chalk.gray(duplicates)} already present, ${chalk.red(failures.length)} failed`));
+            }
+
+            if (failures.length > 0) {
+                process.exit(getExitCode(failures[0].error));
+            }
+        });
+
+    // Download assets
+    assets
+        .command('download <ids...>')
+        .description('Download assets from your library')
+        .option('-o, --output-dir <dir>', 'Output directory', '.')
+        .option('--json', 'Output as JSON')
+        .action(async (ids, options) => {
+            await requireAuth();
+            const client = createClient();
+            const results = [];
+            let lastError = null;
+
+            for (const id of ids) {
+                const spinner = ora(`Downloading ${id}...`).start();
+
+                try {
+                    const result = await client.getAsset(id);
+                    const asset = result.data || result;
+                    // Prefixed with the ID, as in `assets mirror`, so same-named assets don't collide
+                    const outputPath = path.join(options.outputDir, assetFileName(asset));
+
+                    const download = await client.downloadAsset(asset, outputPath, {
+                        onProgress: (progress) => {
+                            spinner.text = `Downloading ${asset.name || id}... ${formatProgress(progress)}`;
+                        },
+                    });
+
+                    spinner.succeed(`${asset.name || id} → ${outputPath} ${chalk.gray(`(${formatBytes(download.bytes)})`)}`);
+                    results.push({ id, file: outputPath, bytes: download.bytes, checksum: download.checksum, status: 'downloaded' });
+                } catch (err) {
+                    spinner.fail(`${id}: ${err.message}`);
+                    results.push({ id, status: 'failed', error: err.toJSON?.() || { message: err.message } });
+                    lastError = err;
+                }
+            }
+
+            if (options.json) {
+                console.log(formatJson({ data: results }));
+            }
+
+            if (lastError) {
+                process.exit(getExitCode(lastError));
+            }
+        });
+
+    // Mirror asset library
+    assets
+        .command('mirror <dir>')
+        .description('Keep a local copy of your asset library (only fetches new or changed assets)')
+        .option('-t, --type <type>', 'Only mirror one type (IMAGE, FONT, VIDEO, AUDIO)')
+        .option('-c, --concurrency <number>', 'Number of parallel downloads', '3')
+        .option('--verify', 'Re-hash local files to detect corruption')
+        .option('--json', 'Output as JSON')
+        .action(async (dir, options) => {
+            await requireAuth();
+            fs.mkdirSync(dir, { recursive: true });
+
+            const manifestPath = path.join(dir, MANIFEST_FILE);
+            let manifest;
+            try {
+                manifest = readManifest(manifestPath);
+            } catch (err) {
+                exitWithError(err, options);
+            }
+            const client = createClient();
+            const spinner = ora('Fetching asset list...').start();
+
+            let remote;
+            try {
+                remote = (await client.listAll('listAssets', { type: options.type?.toUpperCase() }, {
+                    onProgress: (count) => { spinner.text = `Fetching asset list... (${count})`; },
+                })).data;
+            } catch (err) {
+                spinner.fail('Failed to fetch assets');
+                exitWithError(err, options);
+            }
+
+            const pending = [];
+            for (const asset of remote) {
+                const entry = manifest.assets[asset.id];
+                if (!entry || hasChanged(asset, entry) || !(await isIntact(dir, entry, options.verify))) {
+                    pending.push(asset);
+                }
+            }
+
+            const upToDate = remote.length - pending.length;
+            let finished = 0;
+            const failures = [];
+
+            const report = (line) => {
+                if (options.json) return;
+                spinner.clear();
+                console.log(line);
+            };
+
+            spinner.text = `Downloading ${pending.length} assets (${upToDate} up to date)...`;
+
+            await runWithConcurrency(pending, parseInt(options.concurrency) || 1, async (asset) => {
+                const file = assetFileName(asset);
+
+                try {
+                    const download = await client.downloadAsset(asset, path.join(dir, file));
+                    const previous = manifest.assets[asset.id];
+
+                    // A renamed asset gets a new file; drop the old one, unless an
+                    // older manifest recorded a name that is not inside the mirror
+                    if (previous && previous.file !== file && path.basename(previous.file) === previous.file) {
+                        fs.rmSync(path.join(dir, previous.file), { force: true });
+                    }
+
+                    manifest.assets[asset.id] = {
+                        id: asset.id,
+                        name: asset.name,
+                        type: asset.type,
+                        size: download.bytes,
+                        checksum: download.checksum,
+                        sourceUrl: asset.url || null,
+                        remoteChecksum: asset.checksum || null,
+                        remoteUpdatedAt: asset.updatedAt || null,
+                        file,
+                        downloadedAt: new Date().toISOString(),
+                    };
+                    writeManifest(manifestPath, manifest);
+
+                    report(`${chalk.green('✓')} ${asset.name || asset.id} ${chalk.gray(`(${formatBytes(download.bytes)})`)}`);
+                } catch (err) {
+                    failures.push({ id: asset.id, name: asset.name, error: err });
+                    report(`${chalk.red('✗')} ${asset.name || asset.id}: ${err.message}`);
+                } finally {
+                    finished++;
+                    spinner.text = `Downloading (${finished}/${pending.length})...`;
+                }
+            });
+
+            spinner.stop();
+            writeManifest(manifestPath, manifest);
+
+            const downloaded = pending.length - failures.length;
+
+            if (options.json) {
+                console.log(formatJson({
+                    manifest: manifestPath,
+                    total: remote.length,
+                    upToDate,
+                    downloaded,
+                    failed: failures.map(f => ({
+                        id: f.id,
+                        name: f.name,
+                        error: f.error.toJSON?.() || { message: f.error.message },
+                    })),
+                }));
+            } else {
+                console.log(chalk.bold(`\nMirror complete: ${chalk.green(downloaded)} downloaded, ${chalk.gray(upToDate)} up to date, ${chalk.red(failures.length)} failed`));
+                console.log(chalk.gray(`Manifest: ${manifestPath}`));
+            }
+
+            if (failures.length > 0) {
+                process.exit(getExitCode(failures[0].error));
             }
         });
 
@@ -65,7 +386,7 @@ export function registerAssetCommands(program) {
         .description('Delete an asset')
         .option('-f, --force', 'Skip confirmation')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.force) {
                 const inquirer = (await import('inquirer')).default;
@@ -93,8 +414,7 @@ export function registerAssetCommands(program) {
                 success('Asset deleted successfully');
             } catch (err) {
                 spinner.fail('Failed to delete asset');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -106,7 +426,7 @@ export function registerAssetCommands(program) {
         .option('-p, --page <number>', 'Page number', '1')
         .option('--json', 'Output as JSON')
         .action(async (query, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora(`Searching stock images for "${query}"...`).start();
 
             try {
@@ -136,8 +456,7 @@ export function registerAssetCommands(program) {
                 });
             } catch (err) {
                 spinner.fail('Search failed');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -148,7 +467,7 @@ export function registerAssetCommands(program) {
         .option('-l, --limit <number>', 'Number of results', '20')
         .option('--json', 'Output as JSON')
         .action(async (query, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora(`Searching icons for "${query}"...`).start();
 
             try {
@@ -177,8 +496,7 @@ export function registerAssetCommands(program) {
                 });
             } catch (err) {
                 spinner.fail('Search failed');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -189,7 +507,7 @@ export function registerAssetCommands(program) {
         .option('-c, --category <category>', 'Filter by category (serif, sans-serif, monospace)')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching fonts...').start();
 
             try {
@@ -216,8 +534,54 @@ export function registerAssetCommands(program) {
                 });
             } catch (err) {
                 spinner.fail('Failed to fetch fonts');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 }
+
+function detectAssetType(file) {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    return Object.keys(ASSET_TYPES).find(type => ext in ASSET_TYPES[type]) || null;
+}
+
+function getContentType(file) {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    for (const types of Object.values(ASSET_TYPES)) {
+        if (types[ext]) return types[ext];
+    }
+    return 'application/octet-stream';
+}
+
+function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        return { version: 1, assets: {} };
+    }
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return { version: 1, ...manifest, assets: manifest.assets || {} };
+    } catch (err) {
+        throw new UsageError(`Invalid manifest ${manifestPath}: ${err.message}`, { cause: err });
+    }
+}
+
+function writeManifest(manifestPath, manifest) {
+    const tempPath = `${manifestPath}.tmp`;
+    manifest.updatedAt = new Date().toISOString();
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempPath, manifestPath);
+}
+
+function hasChanged(asset, entry) {
+    if (asset.checksum && entry.remoteChecksum) return asset.checksum !== entry.remoteChecksum;
+    if (asset.updatedAt && entry.remoteUpdatedAt) return asset.updatedAt !== entry.remoteUpdatedAt;
+    if (asset.size && entry.size) return asset.size !== entry.size;
+    return (asset.url || null) !== entry.sourceUrl;
+}
+
+async function isIntact(dir, entry, verify) {
+    const filePath = path.join(dir, entry.file);
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size !== entry.size) {
+        return false;
+    }
+    return !verify || (await hashFile(filePath)) === entry.checksum;
+}
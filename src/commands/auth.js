@@ -5,8 +5,12 @@
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import open from 'open';
-import { setApiKey, getApiKey, clearApiKey, getConfigPath } from '../config.js';
-import { success, error, info } from '../output.js';
+import { setApiKey, loadApiKey, clearApiKey, migrateCredentials, getConfigPath, getCredentialHelper } from '../config.js';
+import { getCredentialsPath } from '../credentials.js';
+import { getActiveProfileName, getProfilesPath, usesProfile } from '../profiles.js';
+import { createClient } from '../api.js';
+import { EXIT_CODES, AuthenticationError, getExitCode } from '../errors.js';
+import { exitWithError, success, error, info } from '../output.js';
 
 export function registerAuthCommands(program) {
     const auth = program
@@ -15,9 +19,10 @@ export function registerAuthCommands(program) {
 
     auth
         .command('login')
-        .description('Authenticate with Canvelete')
+        .description('Authenticate with Canvelete (use --profile to store the key in a profile)')
         .option('-k, --key <apiKey>', 'API key (or use interactive prompt)')
         .option('--browser', 'Open browser to get API key')
+        .option('--plaintext', 'Store the key unencrypted (e.g. in CI containers)')
         .action(async (options) => {
             try {
                 let apiKey = options.key;
@@ -46,44 +51,59 @@ export function registerAuthCommands(program) {
                     apiKey = answers.apiKey;
                 }
 
-                // Validate the API key by making a test request
-                const response = await fetch('https://www.canvelete.com/api/automation/designs?limit=1', {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'User-Agent': 'canvelete-cli/2.0.0'
+                // Validate the API key against the profile's API by making a test request
+                try {
+                    await createClient({ apiKey }).listDesigns({ limit: 1 });
+                } catch (err) {
+                    if (err instanceof AuthenticationError) {
+                        throw new AuthenticationError('Invalid API key. Please check and try again.', {
+                            status: err.status,
+                            requestId: err.requestId,
+                            cause: err,
+                        });
                     }
-                });
-
-                if (!response.ok) {
-                    if (response.status === 401) {
-                        error('Invalid API key. Please check and try again.');
-                        process.exit(1);
-                    }
-                    throw new Error(`Validation failed: ${response.status}`);
+                    throw err;
                 }
 
-                setApiKey(apiKey);
+                await setApiKey(apiKey, { plaintext: options.plaintext });
                 success('Successfully authenticated!');
-                console.log(chalk.gray(`Config saved to: ${getConfigPath()}`));
+                if (usesProfile()) {
+                    console.log(chalk.gray(`Saved to profile "${getActiveProfileName()}"`));
+                }
+                console.log(chalk.gray(`Key saved to: ${options.plaintext
+                    ? (usesProfile() ? getProfilesPath() : getConfigPath())
+                    : `${getCredentialsPath()} (encrypted)`}`));
             } catch (err) {
-                error(`Authentication failed: ${err.message}`);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
     auth
         .command('logout')
         .description('Remove stored credentials')
-        .action(() => {
-            clearApiKey();
-            success('Logged out successfully.');
+        .action(async () => {
+            try {
+                await clearApiKey();
+            } catch (err) {
+                error(err.message);
+                process.exit(getExitCode(err));
+            }
+            success(usesProfile()
+                ? `Logged out of profile "${getActiveProfileName()}".`
+                : 'Logged out successfully.');
         });
 
     auth
         .command('status')
         .description('Check authentication status')
         .action(async () => {
-            const apiKey = getApiKey();
+            let apiKey;
+            try {
+                apiKey = await loadApiKey();
+            } catch (err) {
+                error(err.message);
+                process.exit(getExitCode(err));
+            }
             
             if (!apiKey) {
                 console.log(chalk.yellow('Not authenticated.'));
@@ -91,26 +111,27 @@ export function registerAuthCommands(program) {
                 return;
             }
 
+            const client = createClient({ retries: 0 });
+
             console.log(chalk.green('✓ Authenticated'));
             console.log(chalk.gray(`  Key: ${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}`));
-            console.log(chalk.gray(`  Config: ${getConfigPath()}`));
+            console.log(chalk.gray(`  Profile: ${usesProfile() ? getActiveProfileName() : '(none)'}`));
+            console.log(chalk.gray(`  API: ${client.baseUrl}`));
+            if (getCredentialHelper()) {
+                console.log(chalk.gray(`  Credential helper: ${getCredentialHelper()}`));
+            }
+            console.log(chalk.gray(`  Config: ${usesProfile() ? getProfilesPath() : getConfigPath()}`));
 
             // Test the connection
             try {
-                const response = await fetch('https://www.canvelete.com/api/automation/designs?limit=1', {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'User-Agent': 'canvelete-cli/2.0.0'
-                    }
-                });
-
-                if (response.ok) {
-                    console.log(chalk.green('✓ API connection verified'));
-                } else {
+                await client.listDesigns({ limit: 1 });
+                console.log(chalk.green('✓ API connection verified'));
+            } catch (err) {
+                if (err instanceof AuthenticationError) {
                     console.log(chalk.red('✗ API key may be invalid or expired'));
+                } else {
+                    console.log(chalk.yellow('⚠ Could not verify API connection'));
                 }
-            } catch (err) {
-                console.log(chalk.yellow('⚠ Could not verify API connection'));
             }
         });
 
@@ -118,12 +139,18 @@ export function registerAuthCommands(program) {
         .command('token')
         .description('Display current API key')
         .option('--show', 'Show full token (use with caution)')
-        .action((options) => {
-            const apiKey = getApiKey();
+        .action(async (options) => {
+            let apiKey;
+            try {
+                apiKey = await loadApiKey();
+            } catch (err) {
+                error(err.message);
+                process.exit(getExitCode(err));
+            }
             
             if (!apiKey) {
                 error('Not authenticated.');
-                process.exit(1);
+                process.exit(EXIT_CODES.AUTH);
             }
 
             if (options.show) {
@@ -132,4 +159,22 @@ export function registerAuthCommands(program) {
                 console.log(`${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}`);
             }
         });
+
+    auth
+        .command('migrate')
+        .description('Move plaintext API keys into the encrypted credential store')
+        .action(async () => {
+            try {
+                const moved = await migrateCredentials();
+                if (moved.length === 0) {
+                    info('No plaintext keys to migrate.');
+                    return;
+                }
+                success(`Encrypted ${moved.length} key${moved.length === 1 ? '' : 's'}: ${moved.join(', ')}`);
+                console.log(chalk.gray(`Credential store: ${getCredentialsPath()}`));
+            } catch (err) {
+                error(`Migration failed: ${err.message}`);
+                process.exit(getExitCode(err));
+            }
+        });
 }
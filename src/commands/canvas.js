@@ -6,9 +6,10 @@ import fs from 'fs';
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
-import { createClient } from '../client.js';
+import { createClient } from '../api.js';
 import { requireAuth } from '../config.js';
-import { formatJson, success, error, info, warn } from '../output.js';
+import { UsageError } from '../errors.js';
+import { formatJson, exitWithError, success, info } from '../output.js';
 
 export function registerCanvasCommands(program) {
     const canvas = program
@@ -22,7 +23,7 @@ export function registerCanvasCommands(program) {
         .description('List all elements in a design')
         .option('--json', 'Output as JSON')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching canvas elements...').start();
 
             try {
@@ -50,8 +51,7 @@ export function registerCanvasCommands(program) {
                 });
             } catch (err) {
                 spinner.fail('Failed to fetch elements');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -72,7 +72,7 @@ export function registerCanvasCommands(program) {
         .option('-i, --interactive', 'Interactive mode')
         .option('--json', 'Output as JSON')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
 
             let element;
 
@@ -81,8 +81,7 @@ export function registerCanvasCommands(program) {
                     const content = fs.readFileSync(options.fromFile, 'utf8');
                     element = JSON.parse(content);
                 } catch (err) {
-                    error(`Failed to read element file: ${err.message}`);
-                    process.exit(1);
+                    exitWithError(new UsageError(`Failed to read element file: ${err.message}`, { cause: err }), options);
                 }
             } else if (options.interactive) {
                 const answers = await inquirer.prompt([
@@ -138,8 +137,7 @@ export function registerCanvasCommands(program) {
                 element = answers;
             } else {
                 if (!options.type) {
-                    error('--type is required (or use --interactive)');
-                    process.exit(1);
+                    exitWithError(new UsageError('--type is required (or use --interactive)'), options);
                 }
 
                 element = {
@@ -174,8 +172,7 @@ export function registerCanvasCommands(program) {
                 }
             } catch (err) {
                 spinner.fail('Failed to add element');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -185,7 +182,7 @@ export function registerCanvasCommands(program) {
         .description('Remove all elements from canvas')
         .option('-f, --force', 'Skip confirmation')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.force) {
                 const { confirm } = await inquirer.prompt([
@@ -212,8 +209,7 @@ export function registerCanvasCommands(program) {
                 success('Canvas cleared');
             } catch (err) {
                 spinner.fail('Failed to clear canvas');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -225,7 +221,7 @@ export function registerCanvasCommands(program) {
         .option('-h, --height <pixels>', 'New height')
         .option('--preset <preset>', 'Use a preset size')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
 
             let width, height;
 
@@ -243,17 +239,16 @@ export function registerCanvasCommands(program) {
             if (options.preset) {
                 const preset = presets[options.preset.toLowerCase()];
                 if (!preset) {
-                    error(`Unknown preset: ${options.preset}`);
-                    console.log(chalk.gray(`Available presets: ${Object.keys(presets).join(', ')}`));
-                    process.exit(1);
+                    exitWithError(new UsageError(`Unknown preset: ${options.preset}`, {
+                        hint: `Available presets: ${Object.keys(presets).join(', ')}`,
+                    }), options);
                 }
                 [width, height] = preset;
             } else if (options.width && options.height) {
                 width = parseInt(options.width);
                 height = parseInt(options.height);
             } else {
-                error('Specify --width and --height, or use --preset');
-                process.exit(1);
+                exitWithError(new UsageError('Specify --width and --height, or use --preset'), options);
             }
 
             const spinner = ora('Resizing canvas...').start();
@@ -265,8 +260,7 @@ export function registerCanvasCommands(program) {
                 success(`Canvas resized to ${width}x${height}`);
             } catch (err) {
                 spinner.fail('Failed to resize canvas');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -276,7 +270,7 @@ export function registerCanvasCommands(program) {
         .description('Export canvas data to JSON file')
         .option('-o, --output <file>', 'Output file', 'canvas.json')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Exporting canvas data...').start();
 
             try {
@@ -297,8 +291,7 @@ export function registerCanvasCommands(program) {
                 success(`Canvas exported to ${options.output}`);
             } catch (err) {
                 spinner.fail('Failed to export canvas');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -308,15 +301,14 @@ export function registerCanvasCommands(program) {
         .description('Import canvas data from JSON file')
         .option('--merge', 'Merge with existing elements instead of replacing')
         .action(async (designId, file, options) => {
-            requireAuth();
+            await requireAuth();
 
             let canvasData;
             try {
                 const content = fs.readFileSync(file, 'utf8');
                 canvasData = JSON.parse(content);
             } catch (err) {
-                error(`Failed to read file: ${err.message}`);
-                process.exit(1);
+                exitWithError(new UsageError(`Failed to read file: ${err.message}`, { cause: err }), options);
             }
 
             const spinner = ora('Importing canvas data...').start();
@@ -341,8 +333,7 @@ export function registerCanvasCommands(program) {
                 console.log(chalk.gray(`Elements: ${canvasData.elements?.length || 0}`));
             } catch (err) {
                 spinner.fail('Failed to import canvas');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 }
@@ -3,8 +3,9 @@
  */
 
 import chalk from 'chalk';
-import { getAllConfig, setConfig, getConfigPath } from '../config.js';
-import { success, error, info } from '../output.js';
+import { getAllConfig, setConfig, getConfigPath, resolveSetting, SETTING_KEYS } from '../config.js';
+import { UsageError } from '../errors.js';
+import { exitWithError, success } from '../output.js';
 
 export function registerConfigCommands(program) {
     const config = program
@@ -16,7 +17,19 @@ export function registerConfigCommands(program) {
         .command('list')
         .alias('ls')
         .description('Show all configuration')
-        .action(() => {
+        .option('--show-origin', 'Show effective values and where each one comes from')
+        .action((options) => {
+            if (options.showOrigin) {
+                console.log(chalk.bold('\nEffective Configuration'));
+                console.log('─'.repeat(40));
+
+                SETTING_KEYS.forEach(key => {
+                    const { value, origin } = describeSetting(key);
+                    console.log(`${chalk.cyan(key.padEnd(20))} ${String(value).padEnd(30)} ${chalk.gray(origin)}`);
+                });
+                return;
+            }
+
             const allConfig = getAllConfig();
             
             console.log(chalk.bold('\nConfiguration'));
@@ -35,13 +48,20 @@ export function registerConfigCommands(program) {
     config
         .command('get <key>')
         .description('Get a configuration value')
-        .action((key) => {
+        .option('--show-origin', 'Show the effective value and where it comes from')
+        .action((key, options) => {
             const allConfig = getAllConfig();
             
             if (!(key in allConfig)) {
-                error(`Unknown configuration key: ${key}`);
-                console.log(chalk.gray(`Available keys: ${Object.keys(allConfig).join(', ')}`));
-                process.exit(1);
+                exitWithError(new UsageError(`Unknown configuration key: ${key}`, {
+                    hint: `Available keys: ${Object.keys(allConfig).join(', ')}`,
+                }), options);
+            }
+
+            if (options.showOrigin) {
+                const { value, origin } = describeSetting(key);
+                console.log(`${value}\t${origin}`);
+                return;
             }
 
             let value = allConfig[key];
@@ -57,19 +77,32 @@ export function registerConfigCommands(program) {
         .command('set <key> <value>')
         .description('Set a configuration value')
         .action((key, value) => {
-            const validKeys = ['baseUrl', 'defaultFormat', 'defaultQuality'];
+            const validKeys = ['baseUrl', 'defaultFormat', 'defaultQuality', 'outputDir', 'credentialHelper', 'retryAttempts', 'timeout', 'maxTime'];
             
             if (!validKeys.includes(key)) {
-                error(`Cannot set "${key}". Use "canvelete auth login" for API key.`);
-                console.log(chalk.gray(`Settable keys: ${validKeys.join(', ')}`));
-                process.exit(1);
+                exitWithError(new UsageError(`Cannot set "${key}". Use "canvelete auth login" for API key.`, {
+                    hint: `Settable keys: ${validKeys.join(', ')}`,
+                }));
             }
 
             if (key === 'defaultQuality') {
                 value = parseInt(value);
                 if (isNaN(value) || value < 1 || value > 100) {
-                    error('Quality must be a number between 1 and 100');
-                    process.exit(1);
+                    exitWithError(new UsageError('Quality must be a number between 1 and 100'));
+                }
+            }
+
+            if (key === 'timeout' || key === 'maxTime') {
+                value = parseFloat(value);
+                if (isNaN(value) || value < 0) {
+                    exitWithError(new UsageError('Timeout must be a number of seconds (0 to disable)'));
+                }
+            }
+
+            if (key === 'retryAttempts') {
+                value = parseInt(value);
+                if (isNaN(value) || value < 0) {
+                    exitWithError(new UsageError('Retry attempts must be a non-negative number'));
                 }
             }
 
@@ -85,3 +118,27 @@ export function registerConfigCommands(program) {
             console.log(getConfigPath());
         });
 }
+
+/**
+ * Effective value for display: keys are masked, a key in the locked
+ * credential store is shown as such and helper failures are reported
+ * instead of aborting the listing
+ */
+function describeSetting(key) {
+    let resolved;
+    try {
+        resolved = resolveSetting(key);
+    } catch (err) {
+        return { value: chalk.red('(error)'), origin: err.message };
+    }
+
+    let { value, origin } = resolved;
+    if (key === 'apiKey') {
+        if (value) {
+            value = `${value.substring(0, 8)}...${value.substring(value.length - 4)}`;
+        } else if (resolved.encrypted) {
+            value = '(encrypted)';
+        }
+    }
+    return { value: value === '' ? '(not set)' : value, origin };
+}
@@ -2,14 +2,19 @@
  * Design commands
  */
 
+import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
-import { createClient } from '../client.js';
-import { requireAuth } from '../config.js';
+import { createClient } from '../api.js';
+import { requireAuth, loadProfileCredentials } from '../config.js';
+import { createIdempotencyKey } from '../idempotency.js';
+import { getProjectDir, resolveDesignId } from '../project.js';
+import { PromotionMap, PROMOTION_MAP_FILE, planPromotion, applyPromotion, hasChanges } from '../promote.js';
+import { AuthenticationError, UsageError } from '../errors.js';
 import { 
     formatJson, formatDesignsTable, formatDesign,
-    success, error, info 
+    exitWithError, success, info 
 } from '../output.js';
 
 export function registerDesignCommands(program) {
@@ -26,19 +31,29 @@ export function registerDesignCommands(program) {
         .option('-p, --page <number>', 'Page number', '1')
         .option('--templates', 'Show only templates')
         .option('--status <status>', 'Filter by status (DRAFT, PUBLISHED, ARCHIVED)')
+        .option('--all', 'Fetch all pages')
+        .option('--max-items <number>', 'Maximum number of results when fetching all pages')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching designs...').start();
 
             try {
                 const client = createClient();
-                const result = await client.listDesigns({
-                    limit: parseInt(options.limit),
-                    page: parseInt(options.page),
+                const listOptions = {
                     isTemplate: options.templates ? true : undefined,
                     status: options.status,
-                });
+                };
+                const result = options.all || options.maxItems
+                    ? await client.listAll('listDesigns', listOptions, {
+                        maxItems: parseInt(options.maxItems) || undefined,
+                        onProgress: (count) => { spinner.text = `Fetching designs... (${count})`; },
+                    })
+                    : await client.listDesigns({
+                        ...listOptions,
+                        limit: parseInt(options.limit),
+                        page: parseInt(options.page),
+                    });
 
                 spinner.stop();
 
@@ -57,8 +72,7 @@ export function registerDesignCommands(program) {
                 console.log(chalk.gray(`\nShowing ${designs.length} of ${result.pagination?.total || designs.length} designs`));
             } catch (err) {
                 spinner.fail('Failed to fetch designs');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -68,7 +82,7 @@ export function registerDesignCommands(program) {
         .description('Get design details')
         .option('--json', 'Output as JSON')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching design...').start();
 
             try {
@@ -91,8 +105,7 @@ export function registerDesignCommands(program) {
                 });
             } catch (err) {
                 spinner.fail('Failed to fetch design');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -107,9 +120,10 @@ export function registerDesignCommands(program) {
         .option('--template', 'Create as template')
         .option('--visibility <type>', 'Visibility (PRIVATE, PUBLIC, TEAM)', 'PRIVATE')
         .option('-i, --interactive', 'Interactive mode')
+        .option('--idempotency-key <key>', 'Reuse the key of an earlier attempt so a retry is not applied twice')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
 
             let name = options.name;
             let width = parseInt(options.width);
@@ -180,6 +194,8 @@ export function registerDesignCommands(program) {
 
             const spinner = ora('Creating design...').start();
 
+            const idempotencyKey = options.idempotencyKey || createIdempotencyKey();
+
             try {
                 const client = createClient();
                 const result = await client.createDesign({
@@ -190,12 +206,12 @@ export function registerDesignCommands(program) {
                     isTemplate: options.template || false,
                     visibility: options.visibility,
                     canvasData: { elements: [] }
-                });
+                }, { idempotencyKey });
 
                 spinner.stop();
 
                 if (options.json) {
-                    console.log(formatJson(result));
+                    console.log(formatJson({ ...result, idempotencyKey }));
                     return;
                 }
 
@@ -205,8 +221,7 @@ export function registerDesignCommands(program) {
                 console.log(chalk.gray(`Size: ${design.width}x${design.height}`));
             } catch (err) {
                 spinner.fail('Failed to create design');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -220,7 +235,7 @@ export function registerDesignCommands(program) {
         .option('--visibility <type>', 'Visibility (PRIVATE, PUBLIC, TEAM)')
         .option('--json', 'Output as JSON')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
 
             const updates = {};
             if (options.name) updates.name = options.name;
@@ -229,8 +244,7 @@ export function registerDesignCommands(program) {
             if (options.visibility) updates.visibility = options.visibility;
 
             if (Object.keys(updates).length === 0) {
-                error('No updates specified. Use --name, --description, --status, or --visibility');
-                process.exit(1);
+                exitWithError(new UsageError('No updates specified. Use --name, --description, --status, or --visibility'), options);
             }
 
             const spinner = ora('Updating design...').start();
@@ -248,8 +262,7 @@ export function registerDesignCommands(program) {
                 success('Design updated successfully');
             } catch (err) {
                 spinner.fail('Failed to update design');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -260,7 +273,7 @@ export function registerDesignCommands(program) {
         .description('Delete a design')
         .option('-f, --force', 'Skip confirmation')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.force) {
                 const { confirm } = await inquirer.prompt([
@@ -287,8 +300,7 @@ export function registerDesignCommands(program) {
                 success('Design deleted successfully');
             } catch (err) {
                 spinner.fail('Failed to delete design');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -298,9 +310,10 @@ export function registerDesignCommands(program) {
         .alias('copy')
         .description('Duplicate a design')
         .option('-n, --name <name>', 'Name for the copy')
+        .option('--idempotency-key <key>', 'Reuse the key of an earlier attempt so a retry is not applied twice')
         .option('--json', 'Output as JSON')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
 
             let newName = options.name;
             if (!newName) {
@@ -317,13 +330,15 @@ export function registerDesignCommands(program) {
 
             const spinner = ora('Duplicating design...').start();
 
+            const idempotencyKey = options.idempotencyKey || createIdempotencyKey();
+
             try {
                 const client = createClient();
-                const result = await client.duplicateDesign(id, newName);
+                const result = await client.duplicateDesign(id, newName, { idempotencyKey });
                 spinner.stop();
 
                 if (options.json) {
-                    console.log(formatJson(result));
+                    console.log(formatJson({ ...result, idempotencyKey }));
                     return;
                 }
 
@@ -332,8 +347,162 @@ export function registerDesignCommands(program) {
                 console.log(chalk.gray(`New ID: ${design.id}`));
             } catch (err) {
                 spinner.fail('Failed to duplicate design');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
+            }
+        });
+
+    // Promote a design to another account
+    designs
+        .command('promote <id>')
+        .description("Copy a design and its assets from one profile's account to another's")
+        .requiredOption('--from <profile>', 'Profile to copy from')
+        .requiredOption('--to <profile>', 'Profile to copy to')
+        .option('--mapping <file>', `Mapping file (default: ${PROMOTION_MAP_FILE} in the project directory)`)
+        .option('--dry-run', 'Show the changes without applying them')
+        .option('-y, --yes', 'Apply without asking for confirmation')
+        .option('--json', 'Output as JSON')
+        .action(async (id, options) => {
+            if (options.from === options.to) {
+                exitWithError(new UsageError('--from and --to must be different profiles'), options);
             }
+            if (options.json && !options.yes && !options.dryRun) {
+                exitWithError(new UsageError('--json needs --yes or --dry-run'), options);
+            }
+
+            const source = await createProfileClient(options.from, options);
+            const target = await createProfileClient(options.to, options);
+            const mapping = new PromotionMap(options.mapping || path.join(getProjectDir(), PROMOTION_MAP_FILE));
+            const pair = mapping.forPair(options.from, options.to);
+            const sourceId = resolveDesignId(id);
+
+            const spinner = ora('Fetching design...').start();
+            let plan;
+            try {
+                plan = await planPromotion(source, target, sourceId, pair);
+                spinner.stop();
+            } catch (err) {
+                spinner.fail('Failed to plan promotion');
+                exitWithError(err, options);
+            }
+
+            const summary = {
+                source: { profile: options.from, id: sourceId },
+                target: { profile: options.to, id: plan.current?.id || null, action: plan.current ? 'update' : 'create' },
+                changes: plan.diff,
+                assets: plan.assets.map(({ asset, upload }) => ({ id: asset.id, name: asset.name, action: upload ? 'upload' : 'reuse' })),
+            };
+            const upToDate = !hasChanges(plan.diff) && plan.assets.every(({ upload }) => !upload);
+
+            if (!options.json) {
+                printPromotionPlan(plan, options);
+            }
+
+            if (upToDate || options.dryRun) {
+                if (options.json) {
+                    console.log(formatJson({ ...summary, applied: false }));
+                } else if (upToDate) {
+                    info(`"${plan.design.name}" is already up to date in ${options.to}`);
+                }
+                return;
+            }
+
+            if (!options.yes) {
+                const { confirm } = await inquirer.prompt([
+                    {
+                        type: 'confirm',
+                        name: 'confirm',
+                        message: `Apply these changes to ${options.to}?`,
+                        default: false
+                    }
+                ]);
+
+                if (!confirm) {
+                    info('Cancelled.');
+                    return;
+                }
+            }
+
+            spinner.start('Promoting design...');
+            try {
+                const result = await applyPromotion(source, target, plan, pair, mapping, (text) => {
+                    spinner.text = text;
+                });
+                spinner.stop();
+
+                summary.target.id = result.id;
+                if (options.json) {
+                    console.log(formatJson({ ...summary, applied: true }));
+                    return;
+                }
+
+                success(`Design ${plan.current ? 'updated' : 'created'} in ${options.to}`);
+                console.log(chalk.gray(`Target ID: ${result.id}`));
+                console.log(chalk.gray(`Mapping:   ${mapping.file}`));
+            } catch (err) {
+                spinner.fail('Promotion failed');
+                exitWithError(err, options);
+            }
+        });
+}
+
+/**
+ * Client for a named profile's account, exiting if the profile is missing
+ * or has no key
+ */
+async function createProfileClient(name, options) {
+    let credentials;
+    try {
+        credentials = await loadProfileCredentials(name);
+    } catch (err) {
+        exitWithError(err, options);
+    }
+
+    if (!credentials) {
+        exitWithError(new UsageError(`Profile "${name}" not found`, { hint: 'Run: canvelete profiles list' }), options);
+    }
+    if (!credentials.apiKey) {
+        exitWithError(new AuthenticationError(`Profile "${name}" has no API key`), options);
+    }
+    return createClient(credentials);
+}
+
+function printPromotionPlan({ design, current, assets, diff }, options) {
+    console.log(chalk.bold(`\nPromote "${design.name}" from ${options.from} to ${options.to}`));
+    console.log('─'.repeat(60));
+    console.log(current
+        ? `Update design ${chalk.cyan(current.id)}`
+        : 'Create a new design');
+
+    if (diff.fields.length > 0) {
+        console.log(chalk.bold('\nProperties:'));
+        diff.fields.forEach(({ field, before, after }) => {
+            console.log(before === undefined
+                ? chalk.green(`  + ${field}: ${JSON.stringify(after)}`)
+                : chalk.yellow(`  ~ ${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`));
+        });
+    }
+
+    if (diff.canvas.length > 0) {
+        console.log(chalk.bold('\nCanvas:'));
+        diff.canvas.forEach(key => console.log(chalk.yellow(`  ~ ${key}`)));
+    }
+
+    if (diff.elements.length > 0) {
+        console.log(chalk.bold('\nElements:'));
+        diff.elements.forEach(({ change, id, type, properties }) => {
+            if (change === 'added') console.log(chalk.green(`  + ${type || 'element'} ${chalk.gray(id)}`));
+            else if (change === 'removed') console.log(chalk.red(`  - ${type || 'element'} ${chalk.gray(id)}`));
+            else console.log(chalk.yellow(`  ~ ${type || 'element'} ${chalk.gray(id)}: ${properties.join(', ')}`));
+        });
+    }
+
+    if (assets.length > 0) {
+        console.log(chalk.bold('\nAssets:'));
+        assets.forEach(({ asset, upload }) => {
+            console.log(upload
+                ? chalk.green(`  ↑ ${asset.name || asset.id} (upload)`)
+                : chalk.gray(`  = ${asset.name || asset.id} (already promoted)`));
         });
+    }
+    console.log('');
 }
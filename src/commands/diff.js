@@ -4,9 +4,9 @@
 
 import chalk from 'chalk';
 import ora from 'ora';
-import { createClient } from '../client.js';
+import { createClient } from '../api.js';
 import { requireAuth } from '../config.js';
-import { formatJson, success, error, info } from '../output.js';
+import { formatJson, exitWithError, success } from '../output.js';
 
 export function registerDiffCommands(program) {
     program
@@ -15,7 +15,7 @@ export function registerDiffCommands(program) {
         .option('--json', 'Output as JSON')
         .option('--elements', 'Compare elements only')
         .action(async (designId1, designId2, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching designs...').start();
 
             try {
@@ -86,8 +86,7 @@ export function registerDiffCommands(program) {
                 console.log('');
             } catch (err) {
                 spinner.fail('Failed to compare designs');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -101,7 +100,7 @@ export function registerDiffCommands(program) {
         .option('--scale <factor>', 'Scale factor for dimensions')
         .option('--json', 'Output as JSON')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Cloning design...').start();
 
             try {
@@ -147,8 +146,7 @@ export function registerDiffCommands(program) {
                 console.log(chalk.gray(`Size:     ${width}x${height}`));
             } catch (err) {
                 spinner.fail('Failed to clone design');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 }
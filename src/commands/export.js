@@ -6,62 +6,65 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
-import { createClient } from '../client.js';
-import { requireAuth } from '../config.js';
-import { success, error, info } from '../output.js';
+import { createClient } from '../api.js';
+import { requireAuth, getDefaultFormat, getDefaultQuality, getOutputDir } from '../config.js';
+import { resolveDesignId } from '../project.js';
+import { AdaptiveLimiter } from '../ratelimit.js';
+import { runWithConcurrency } from '../concurrency.js';
+import { compilePattern, patternVariables, resolveOutputPath, OutputPathRegistry } from '../filename.js';
+import { UsageError, getExitCode } from '../errors.js';
+import { formatProgress, exitWithError, success } from '../output.js';
 
 export function registerExportCommands(program) {
     program
         .command('export <designId>')
-        .description('Export a design to file')
-        .option('-f, --format <format>', 'Output format (png, jpg, pdf, svg)', 'png')
+        .description('Export a design (ID or project alias) to file')
+        .option('-f, --format <format>', 'Output format (png, jpg, pdf, svg; default from project, profile or config)')
         .option('-o, --output <file>', 'Output file path')
-        .option('-q, --quality <number>', 'Quality (1-100)', '100')
+        .option('-q, --quality <number>', 'Quality (1-100; default from project, profile or config)')
         .option('--scale <number>', 'Scale factor (e.g., 2 for 2x)', '1')
         .option('--open', 'Open file after export')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
 
-            const format = options.format.toLowerCase();
+            designId = resolveDesignId(designId);
+            const format = (options.format || getDefaultFormat()).toLowerCase();
             const validFormats = ['png', 'jpg', 'jpeg', 'pdf', 'svg'];
             
             if (!validFormats.includes(format)) {
-                error(`Invalid format: ${format}`);
-                console.log(chalk.gray(`Valid formats: ${validFormats.join(', ')}`));
-                process.exit(1);
+                exitWithError(new UsageError(`Invalid format: ${format}`, {
+                    hint: `Valid formats: ${validFormats.join(', ')}`,
+                }), options);
             }
 
             const spinner = ora(`Exporting to ${format.toUpperCase()}...`).start();
 
             try {
-                const client = createClient();
-                const imageData = await client.exportDesign(
-                    designId,
-                    format,
-                    parseInt(options.quality)
-                );
-
-                const buffer = Buffer.from(imageData);
-
                 // Determine output path
                 let outputPath = options.output;
                 if (!outputPath) {
-                    outputPath = `${designId.substring(0, 8)}_export.${format}`;
+                    outputPath = path.join(getOutputDir(), `${designId.substring(0, 8)}_export.${format}`);
                 }
 
-                // Ensure directory exists
-                const dir = path.dirname(outputPath);
-                if (dir && dir !== '.') {
-                    fs.mkdirSync(dir, { recursive: true });
-                }
-
-                fs.writeFileSync(outputPath, buffer);
+                const client = createClient();
+                const result = await client.exportDesignToFile(
+                    designId,
+                    format,
+                    parseInt(options.quality || getDefaultQuality()),
+                    outputPath,
+                    {
+                        onProgress: (progress) => {
+                            spinner.text = `Downloading ${format.toUpperCase()}... ${formatProgress(progress)}`;
+                        },
+                    }
+                );
                 spinner.stop();
 
                 success(`Exported successfully!`);
                 console.log(chalk.gray(`Output: ${outputPath}`));
-                console.log(chalk.gray(`Size: ${(buffer.length / 1024).toFixed(1)} KB`));
+                console.log(chalk.gray(`Size: ${(result.bytes / 1024).toFixed(1)} KB`));
                 console.log(chalk.gray(`Format: ${format.toUpperCase()}`));
+                console.log(chalk.gray(`SHA-256: ${result.checksum}`));
 
                 if (options.open) {
                     const open = (await import('open')).default;
@@ -69,8 +72,7 @@ export function registerExportCommands(program) {
                 }
             } catch (err) {
                 spinner.fail('Export failed');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -78,13 +80,26 @@ export function registerExportCommands(program) {
     program
         .command('export-all <designId>')
         .description('Export design to multiple formats')
-        .option('-o, --output-dir <dir>', 'Output directory', '.')
+        .option('-o, --output-dir <dir>', 'Output directory (default from project, profile or config)')
         .option('--formats <formats>', 'Comma-separated formats', 'png,pdf')
+        .option('--parallel <number>', 'Maximum parallel exports', '3')
+        .option('--output-pattern <pattern>', 'Output file name pattern', '{{designId | truncate:8}}.{{format}}')
         .action(async (designId, options) => {
-            requireAuth();
+            await requireAuth();
 
+            designId = resolveDesignId(designId);
             const formats = options.formats.split(',').map(f => f.trim().toLowerCase());
-            const outputDir = options.outputDir;
+            const outputDir = options.outputDir || getOutputDir();
+
+            let outputPattern;
+            try {
+                outputPattern = compilePattern(options.outputPattern, {
+                    variables: ['index', 'id', 'designId', 'format', 'date', 'timestamp'],
+                });
+            } catch (err) {
+                exitWithError(new UsageError(err.message), options);
+            }
+            const outputs = new OutputPathRegistry();
 
             if (outputDir !== '.') {
                 fs.mkdirSync(outputDir, { recursive: true });
@@ -92,27 +107,56 @@ export function registerExportCommands(program) {
 
             console.log(chalk.bold(`\nExporting to ${formats.length} formats...\n`));
 
-            const client = createClient();
+            const spinner = ora();
+            const limiter = new AdaptiveLimiter({
+                max: parseInt(options.parallel) || 1,
+                onChange: () => updateSpinner(),
+            });
+            const client = createClient({ limiter });
             let succeeded = 0;
             let failed = 0;
+            const failures = [];
+
+            function updateSpinner() {
+                spinner.text = `Exporting (${succeeded + failed}/${formats.length}) ${chalk.gray(`[${limiter.describe()}]`)}`;
+            }
+
+            function report(line) {
+                spinner.clear();
+                console.log(line);
+                updateSpinner();
+            }
 
-            for (const format of formats) {
-                const spinner = ora(`Exporting ${format.toUpperCase()}...`).start();
+            updateSpinner();
+            spinner.start();
 
+            await runWithConcurrency(formats, limiter, async (format, index) => {
                 try {
-                    const imageData = await client.exportDesign(designId, format, 100);
-                    const buffer = Buffer.from(imageData);
-                    const outputPath = path.join(outputDir, `${designId.substring(0, 8)}.${format}`);
-                    fs.writeFileSync(outputPath, buffer);
-                    
-                    spinner.succeed(`${format.toUpperCase()} → ${outputPath}`);
+                    const outputPath = resolveOutputPath(outputDir, outputPattern, patternVariables({
+                        index: index + 1,
+                        designId,
+                        format,
+                    }));
+                    outputs.claim(outputPath, format.toUpperCase());
+                    await client.exportDesignToFile(designId, format, 100, outputPath);
+
                     succeeded++;
+                    report(`${chalk.green('✓')} ${format.toUpperCase()} → ${outputPath}`);
                 } catch (err) {
-                    spinner.fail(`${format.toUpperCase()}: ${err.message}`);
                     failed++;
+                    failures[index] = err;
+                    report(`${chalk.red('✗')} ${format.toUpperCase()}: ${err.message}`);
                 }
-            }
+            });
+
+            spinner.stop();
 
             console.log(chalk.bold(`\nExport complete: ${chalk.green(succeeded)} succeeded, ${chalk.red(failed)} failed`));
+
+            // Exit with the code for the first format that failed
+            const firstFailure = failures.find(Boolean);
+            if (firstFailure) {
+                process.exit(getExitCode(firstFailure));
+            }
         });
 }
@@ -6,7 +6,10 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
-import { success, error, info } from '../output.js';
+import { EXIT_CODES, UsageError } from '../errors.js';
+import { exitWithError, success, error, info } from '../output.js';
+import { findProjectConfig, getConfigEnv, getProjectEnv, PROJECT_CONFIG_FILE } from '../project.js';
+import { validateJson, loadSchema, toSarif, SCHEMAS } from '../schema.js';
 
 export function registerInitCommands(program) {
     program
@@ -15,7 +18,7 @@ export function registerInitCommands(program) {
         .option('-y, --yes', 'Skip prompts and use defaults')
         .option('--template <type>', 'Project template (basic, batch, ci)')
         .action(async (options) => {
-            const configFile = 'canvelete.config.json';
+            const configFile = PROJECT_CONFIG_FILE;
             
             if (fs.existsSync(configFile)) {
                 const { overwrite } = await inquirer.prompt([
@@ -73,6 +76,7 @@ export function registerInitCommands(program) {
                 ]);
 
                 config = {
+                    $schema: loadSchema('config').$id,
                     name: answers.projectName,
                     version: '1.0.0',
                     canvelete: {
@@ -131,87 +135,124 @@ export function registerInitCommands(program) {
             console.log(chalk.gray('  3. Run `canvelete render` to generate images'));
         });
 
-    // Validate config
+    // Validate config and data files
     program
         .command('validate')
-        .description('Validate project configuration and data files')
-        .option('-c, --config <file>', 'Config file to validate', 'canvelete.config.json')
-        .option('-d, --data <file>', 'Data file to validate')
+        .description('Validate project configuration and data files against their JSON Schemas')
+        .option('-c, --config <file>', 'Config file to validate (default: nearest canvelete.config.json)')
+        .option('-d, --data <file>', 'Data or batch file to validate')
+        .option('--json', 'Output results as JSON')
+        .option('--sarif', 'Output results as SARIF 2.1.0')
         .action(async (options) => {
-            let hasErrors = false;
+            options.config = options.config || findProjectConfig() || PROJECT_CONFIG_FILE;
 
-            // Validate config file
-            if (options.config) {
-                console.log(chalk.bold(`\nValidating ${options.config}...`));
-                
-                if (!fs.existsSync(options.config)) {
-                    error(`Config file not found: ${options.config}`);
-                    hasErrors = true;
-                } else {
-                    try {
-                        const content = fs.readFileSync(options.config, 'utf8');
-                        const config = JSON.parse(content);
-                        
-                        // Validate structure
-                        const issues = validateConfig(config);
-                        
-                        if (issues.length === 0) {
-                            success('Config file is valid');
-                        } else {
-                            issues.forEach(issue => {
-                                console.log(chalk.yellow(`  ⚠ ${issue}`));
-                            });
-                            hasErrors = true;
-                        }
-                    } catch (err) {
-                        error(`Invalid JSON: ${err.message}`);
-                        hasErrors = true;
-                    }
-                }
+            const results = [checkConfigFile(options.config)];
+            if (options.data) {
+                results.push(checkDataFile(options.data));
             }
+            const valid = results.every(result => result.problems.length === 0);
 
-            // Validate data file
-            if (options.data) {
-                console.log(chalk.bold(`\nValidating ${options.data}...`));
-                
-                if (!fs.existsSync(options.data)) {
-                    error(`Data file not found: ${options.data}`);
-                    hasErrors = true;
-                } else {
-                    try {
-                        const content = fs.readFileSync(options.data, 'utf8');
-                        const data = JSON.parse(content);
-                        
-                        if (Array.isArray(data)) {
-                            success(`Valid JSON array with ${data.length} items`);
-                            
-                            // Check for common issues
-                            data.forEach((item, i) => {
-                                if (!item.designId && !item.templateId) {
-                                    console.log(chalk.yellow(`  ⚠ Item ${i}: Missing designId or templateId`));
-                                }
-                            });
-                        } else if (typeof data === 'object') {
-                            success('Valid JSON object');
-                        } else {
-                            error('Data should be an object or array');
-                            hasErrors = true;
-                        }
-                    } catch (err) {
-                        error(`Invalid JSON: ${err.message}`);
-                        hasErrors = true;
-                    }
-                }
+            if (options.sarif) {
+                console.log(JSON.stringify(toSarif(results), null, 2));
+            } else if (options.json) {
+                console.log(JSON.stringify({ valid, files: results }, null, 2));
+            } else {
+                results.forEach(printResult);
             }
 
-            if (hasErrors) {
-                process.exit(1);
+            // The problems are already printed; only the exit code is left
+            if (!valid) {
+                process.exit(EXIT_CODES.VALIDATION);
+            }
+        });
+
+    // Print a JSON Schema
+    program
+        .command('schema <type>')
+        .description(`Print the JSON Schema for ${Object.keys(SCHEMAS).join(' or ')} files`)
+        .action((type, options) => {
+            if (!SCHEMAS[type]) {
+                exitWithError(new UsageError(`Unknown schema: ${type}`, {
+                    hint: `Available schemas: ${Object.keys(SCHEMAS).join(', ')}`,
+                }), options);
             }
+            console.log(JSON.stringify(loadSchema(type), null, 2));
         });
 }
 
+function missingFile(file, type, label) {
+    return {
+        file,
+        type,
+        valid: false,
+        problems: [{ rule: 'file-missing', message: `${label} not found: ${file}`, path: '', pointer: '', line: 1, column: 1 }],
+    };
+}
+
+function checkConfigFile(file) {
+    if (!fs.existsSync(file)) {
+        return missingFile(file, 'config', 'Config file');
+    }
+
+    const { problems } = validateJson('config', fs.readFileSync(file, 'utf8'), getConfigEnv(file));
+    return { file, type: 'config', valid: problems.length === 0, problems };
+}
+
+/**
+ * Arrays are batch files and are checked against the batch schema; objects
+ * are dynamic data for a single render and only need to be valid JSON
+ */
+function checkDataFile(file) {
+    if (!fs.existsSync(file)) {
+        return missingFile(file, 'data', 'Data file');
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch {
+        const { problems } = validateJson(null, text);
+        return { file, type: 'data', valid: false, problems };
+    }
+
+    if (Array.isArray(data)) {
+        const { problems } = validateJson('batch', text, getProjectEnv());
+        return { file, type: 'batch', valid: problems.length === 0, items: data.length, problems };
+    }
+    if (data && typeof data === 'object') {
+        const { problems } = validateJson(null, text, getProjectEnv());
+        return { file, type: 'data', valid: problems.length === 0, problems };
+    }
+    return {
+        file,
+        type: 'data',
+        valid: false,
+        problems: [{ rule: 'type', message: 'Data should be an object or array', path: '(root)', pointer: '', line: 1, column: 1 }],
+    };
+}
+
+function printResult(result) {
+    console.log(chalk.bold(`\nValidating ${result.file}...`));
+
+    if (result.valid) {
+        if (result.type === 'config') success('Config file is valid');
+        else if (result.type === 'batch') success(`Valid batch file with ${result.items} items`);
+        else success('Valid JSON object');
+        return;
+    }
+
+    result.problems.forEach(problem => {
+        const where = problem.rule === 'file-missing' ? '' : chalk.gray(`${result.file}:${problem.line}:${problem.column} `);
+        const subject = problem.pointer ? `${chalk.cyan(problem.path)}: ` : '';
+        console.log(`  ${chalk.red('✗')} ${where}${subject}${problem.message}`);
+    });
+    error(`${result.problems.length} problem${result.problems.length === 1 ? '' : 's'} found`);
+}
+
 function getDefaultConfig() {
     return {
+        $schema: loadSchema('config').$id,
         name: path.basename(process.cwd()),
         version: '1.0.0',
         canvelete: {
@@ -273,25 +314,3 @@ function applyTemplate(config, template) {
     }
     return config;
 }
-
-function validateConfig(config) {
-    const issues = [];
-
-    if (!config.canvelete) {
-        issues.push('Missing "canvelete" section');
-    } else {
-        if (config.canvelete.defaultQuality) {
-            const q = config.canvelete.defaultQuality;
-            if (q < 1 || q > 100) {
-                issues.push('defaultQuality must be between 1 and 100');
-            }
-        }
-        
-        const validFormats = ['png', 'jpg', 'jpeg', 'pdf', 'svg'];
-        if (config.canvelete.defaultFormat && !validFormats.includes(config.canvelete.defaultFormat)) {
-            issues.push(`Invalid defaultFormat. Use: ${validFormats.join(', ')}`);
-        }
-    }
-
-    return issues;
-}
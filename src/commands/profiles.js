@@ -4,25 +4,14 @@
 
 import chalk from 'chalk';
 import inquirer from 'inquirer';
-import Conf from 'conf';
-import { setApiKey, getApiKey, getConfigPath } from '../config.js';
-import { success, error, info, warn } from '../output.js';
-
-// Separate config for profiles
-const profilesConfig = new Conf({
-    projectName: 'canvelete-cli',
-    configName: 'profiles',
-    schema: {
-        profiles: {
-            type: 'object',
-            default: {}
-        },
-        activeProfile: {
-            type: 'string',
-            default: 'default'
-        }
-    }
-});
+import {
+    getProfiles, setProfiles, getProfile, saveProfile, removeProfile,
+    getActiveProfileName, setActiveProfileName, PROFILE_SETTINGS
+} from '../profiles.js';
+import { setApiKey, clearApiKey } from '../config.js';
+import { hasCredential, profileCredential, unlockCredentials, getCredential } from '../credentials.js';
+import { UsageError, getExitCode } from '../errors.js';
+import { exitWithError, success, error, info, warn } from '../output.js';
 
 export function registerProfileCommands(program) {
     const profiles = program
@@ -36,8 +25,8 @@ export function registerProfileCommands(program) {
         .alias('ls')
         .description('List all profiles')
         .action(() => {
-            const allProfiles = profilesConfig.get('profiles') || {};
-            const activeProfile = profilesConfig.get('activeProfile');
+            const allProfiles = getProfiles();
+            const activeProfile = getActiveProfileName();
 
             console.log(chalk.bold('\nProfiles'));
             console.log('─'.repeat(40));
@@ -54,11 +43,9 @@ export function registerProfileCommands(program) {
                 const profile = allProfiles[name];
                 const isActive = name === activeProfile;
                 const marker = isActive ? chalk.green('● ') : '  ';
-                const keyPreview = profile.apiKey 
-                    ? `${profile.apiKey.substring(0, 8)}...` 
-                    : chalk.gray('(no key)');
+                const keyPreview = describeKey(name, profile);
                 
-                console.log(`${marker}${chalk.cyan(name.padEnd(15))} ${keyPreview}`);
+                console.log(`${marker}${chalk.cyan(name.padEnd(15))} ${keyPreview} ${chalk.gray(profile.baseUrl || '')}`);
                 if (profile.description) {
                     console.log(`  ${chalk.gray(profile.description)}`);
                 }
@@ -74,10 +61,13 @@ export function registerProfileCommands(program) {
         .option('-k, --key <apiKey>', 'API key for this profile')
         .option('-d, --description <text>', 'Profile description')
         .option('--base-url <url>', 'Custom base URL')
+        .option('-f, --format <format>', 'Default output format')
+        .option('-q, --quality <number>', 'Default quality (1-100)')
+        .option('-o, --output-dir <dir>', 'Default output directory')
+        .option('--credential-helper <command>', 'Get the key from an external credential helper')
+        .option('--plaintext', 'Store the key unencrypted (e.g. in CI containers)')
         .action(async (name, options) => {
-            const allProfiles = profilesConfig.get('profiles') || {};
-
-            if (allProfiles[name]) {
+            if (getProfile(name)) {
                 const { overwrite } = await inquirer.prompt([
                     {
                         type: 'confirm',
@@ -93,8 +83,9 @@ export function registerProfileCommands(program) {
                 }
             }
 
+            // A helper may already hold the key, so only ask when there is none
             let apiKey = options.key;
-            if (!apiKey) {
+            if (!apiKey && !options.credentialHelper) {
                 const answers = await inquirer.prompt([
                     {
                         type: 'password',
@@ -106,14 +97,28 @@ export function registerProfileCommands(program) {
                 apiKey = answers.apiKey;
             }
 
+            const allProfiles = getProfiles();
             allProfiles[name] = {
-                apiKey,
                 description: options.description || '',
-                baseUrl: options.baseUrl || 'https://www.canvelete.com',
                 createdAt: new Date().toISOString()
             };
-
-            profilesConfig.set('profiles', allProfiles);
+            // Unset settings fall back to the global configuration
+            if (options.baseUrl) allProfiles[name].baseUrl = options.baseUrl;
+            if (options.format) allProfiles[name].defaultFormat = options.format.toLowerCase();
+            if (options.quality) allProfiles[name].defaultQuality = parseInt(options.quality);
+            if (options.outputDir) allProfiles[name].outputDir = options.outputDir;
+            if (options.credentialHelper) allProfiles[name].credentialHelper = options.credentialHelper;
+
+            setProfiles(allProfiles);
+
+            if (apiKey) {
+                try {
+                    await setApiKey(apiKey, { plaintext: options.plaintext, profile: name });
+                } catch (err) {
+                    error(err.message);
+                    process.exit(getExitCode(err));
+                }
+            }
             success(`Profile "${name}" created`);
 
             // Ask to switch
@@ -127,8 +132,7 @@ export function registerProfileCommands(program) {
             ]);
 
             if (switchTo) {
-                profilesConfig.set('activeProfile', name);
-                setApiKey(apiKey);
+                setActiveProfileName(name);
                 success(`Switched to "${name}"`);
             }
         });
@@ -140,11 +144,8 @@ export function registerProfileCommands(program) {
         .description('Remove a profile')
         .option('-f, --force', 'Skip confirmation')
         .action(async (name, options) => {
-            const allProfiles = profilesConfig.get('profiles') || {};
-
-            if (!allProfiles[name]) {
-                error(`Profile "${name}" not found`);
-                process.exit(1);
+            if (!getProfile(name)) {
+                exitWithError(new UsageError(`Profile "${name}" not found`), options);
             }
 
             if (!options.force) {
@@ -163,12 +164,15 @@ export function registerProfileCommands(program) {
                 }
             }
 
-            delete allProfiles[name];
-            profilesConfig.set('profiles', allProfiles);
+            try {
+                await clearApiKey({ profile: name });
+            } catch (err) {
+                error(err.message);
+                process.exit(getExitCode(err));
+            }
 
-            // If this was the active profile, clear it
-            if (profilesConfig.get('activeProfile') === name) {
-                profilesConfig.set('activeProfile', 'default');
+            // If this was the active profile, it is cleared
+            if (removeProfile(name)) {
                 warn('Active profile was removed. Switched to "default".');
             }
 
@@ -181,35 +185,67 @@ export function registerProfileCommands(program) {
         .alias('switch')
         .description('Switch to a profile')
         .action((name) => {
-            const allProfiles = profilesConfig.get('profiles') || {};
+            const allProfiles = getProfiles();
 
             if (!allProfiles[name]) {
-                error(`Profile "${name}" not found`);
-                console.log(chalk.gray('Available profiles: ' + Object.keys(allProfiles).join(', ')));
-                process.exit(1);
+                exitWithError(new UsageError(`Profile "${name}" not found`, {
+                    hint: 'Available profiles: ' + Object.keys(allProfiles).join(', '),
+                }));
             }
 
-            profilesConfig.set('activeProfile', name);
-            setApiKey(allProfiles[name].apiKey);
+            setActiveProfileName(name);
             success(`Switched to "${name}"`);
         });
 
+    // Change a profile setting
+    profiles
+        .command('set <name> <key> <value>')
+        .description(`Set a profile setting (${PROFILE_SETTINGS.join(', ')})`)
+        .action((name, key, value) => {
+            if (!getProfile(name)) {
+                exitWithError(new UsageError(`Profile "${name}" not found`));
+            }
+
+            if (!PROFILE_SETTINGS.includes(key)) {
+                exitWithError(new UsageError(`Invalid key: ${key}`, { hint: `Valid keys: ${PROFILE_SETTINGS.join(', ')}` }));
+            }
+
+            let parsedValue = value;
+            if (key === 'defaultQuality') {
+                parsedValue = parseInt(value);
+                if (isNaN(parsedValue) || parsedValue < 1 || parsedValue > 100) {
+                    exitWithError(new UsageError('Quality must be between 1 and 100'));
+                }
+            }
+
+            saveProfile(name, { [key]: parsedValue });
+            success(`Set ${key} = ${parsedValue} for profile "${name}"`);
+        });
+
     // Show current profile
     profiles
         .command('current')
         .description('Show current active profile')
         .action(() => {
-            const activeProfile = profilesConfig.get('activeProfile');
-            const allProfiles = profilesConfig.get('profiles') || {};
-            const profile = allProfiles[activeProfile];
+            const activeProfile = getActiveProfileName();
+            const profile = getProfile(activeProfile);
 
             console.log(chalk.bold('\nCurrent Profile'));
             console.log('─'.repeat(40));
             console.log(`Name:        ${chalk.cyan(activeProfile)}`);
+            if (process.env.CANVELETE_PROFILE) {
+                console.log(chalk.gray('             (from --profile / CANVELETE_PROFILE)'));
+            }
             
             if (profile) {
-                console.log(`API Key:     ${profile.apiKey?.substring(0, 8)}...`);
-                console.log(`Base URL:    ${profile.baseUrl}`);
+                console.log(`API Key:     ${describeKey(activeProfile, profile)}`);
+                console.log(`Base URL:    ${profile.baseUrl || chalk.gray('(global)')}`);
+                console.log(`Format:      ${profile.defaultFormat || chalk.gray('(global)')}`);
+                console.log(`Quality:     ${profile.defaultQuality ?? chalk.gray('(global)')}`);
+                console.log(`Output Dir:  ${profile.outputDir || chalk.gray('(global)')}`);
+                if (profile.credentialHelper) {
+                    console.log(`Helper:      ${profile.credentialHelper}`);
+                }
                 if (profile.description) {
                     console.log(`Description: ${profile.description}`);
                 }
@@ -222,18 +258,32 @@ export function registerProfileCommands(program) {
     profiles
         .command('export')
         .description('Export profiles to JSON (keys are masked)')
-        .option('--include-keys', 'Include full API keys (use with caution)')
-        .action((options) => {
-            const allProfiles = profilesConfig.get('profiles') || {};
+        .option('--include-keys', 'Include full API keys, decrypting them if needed (use with caution)')
+        .action(async (options) => {
+            const allProfiles = getProfiles();
             const exported = {};
 
+            if (options.includeKeys) {
+                try {
+                    await unlockCredentials();
+                } catch (err) {
+                    error(err.message);
+                    process.exit(getExitCode(err));
+                }
+            }
+
             Object.entries(allProfiles).forEach(([name, profile]) => {
-                exported[name] = {
-                    ...profile,
-                    apiKey: options.includeKeys 
-                        ? profile.apiKey 
-                        : `${profile.apiKey?.substring(0, 8)}...`
-                };
+                const apiKey = profile.apiKey || getCredential(profileCredential(name));
+                exported[name] = { ...profile };
+
+                // Encrypted keys are left out unless --include-keys
+                if (options.includeKeys) {
+                    exported[name].apiKey = apiKey;
+                } else if (profile.apiKey) {
+                    exported[name].apiKey = `${profile.apiKey.substring(0, 8)}...`;
+                } else {
+                    delete exported[name].apiKey;
+                }
             });
 
             console.log(JSON.stringify(exported, null, 2));
@@ -244,6 +294,7 @@ export function registerProfileCommands(program) {
         .command('import <file>')
         .description('Import profiles from JSON file')
         .option('--merge', 'Merge with existing profiles')
+        .option('--plaintext', 'Store imported keys unencrypted')
         .action(async (file, options) => {
             const fs = await import('fs');
             
@@ -252,32 +303,42 @@ export function registerProfileCommands(program) {
                 const content = fs.readFileSync(file, 'utf8');
                 imported = JSON.parse(content);
             } catch (err) {
-                error(`Failed to read file: ${err.message}`);
-                process.exit(1);
+                exitWithError(new UsageError(`Failed to read file: ${err.message}`, { cause: err }), options);
             }
 
             const allProfiles = options.merge 
-                ? (profilesConfig.get('profiles') || {})
+                ? getProfiles()
                 : {};
 
-            let count = 0;
+            const keys = {};
             Object.entries(imported).forEach(([name, profile]) => {
                 if (profile.apiKey && !profile.apiKey.includes('...')) {
-                    allProfiles[name] = profile;
-                    count++;
+                    const { apiKey, ...settings } = profile;
+                    allProfiles[name] = settings;
+                    keys[name] = apiKey;
                 }
             });
 
-            profilesConfig.set('profiles', allProfiles);
-            success(`Imported ${count} profiles`);
+            setProfiles(allProfiles);
+
+            try {
+                for (const [name, apiKey] of Object.entries(keys)) {
+                    await setApiKey(apiKey, { plaintext: options.plaintext, profile: name });
+                }
+            } catch (err) {
+                error(err.message);
+                process.exit(getExitCode(err));
+            }
+            success(`Imported ${Object.keys(keys).length} profiles`);
         });
 }
 
-// Helper to get current profile's API key
-export function getProfileApiKey() {
-    const activeProfile = profilesConfig.get('activeProfile');
-    const allProfiles = profilesConfig.get('profiles') || {};
-    const profile = allProfiles[activeProfile];
-    
-    return profile?.apiKey || getApiKey();
+function describeKey(name, profile) {
+    if (profile.credentialHelper) {
+        return chalk.gray('(credential helper)');
+    }
+    if (profile.apiKey) {
+        return `${profile.apiKey.substring(0, 8)}... ${chalk.yellow('(plaintext)')}`;
+    }
+    return hasCredential(profileCredential(name)) ? chalk.gray('(encrypted)') : chalk.gray('(no key)');
 }
@@ -6,37 +6,70 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
-import { createClient } from '../client.js';
-import { requireAuth } from '../config.js';
+import { createClient } from '../api.js';
+import {
+    requireAuth, getRetryAttempts, getDefaultFormat, getDefaultQuality, getOutputDir
+} from '../config.js';
+import { getBatchSettings, resolveDesignId } from '../project.js';
+import { AdaptiveLimiter } from '../ratelimit.js';
+import { runStreaming } from '../concurrency.js';
+import { detectBatchFormat, loadColumnMap, readBatchEntries } from '../batch.js';
+import { BatchState } from '../batchstate.js';
+import { createIdempotencyKey, hashEntry } from '../idempotency.js';
+import { compilePattern, patternVariables, resolveOutputPath, OutputPathRegistry } from '../filename.js';
+import { onInterrupt } from '../session.js';
+import { createWebhookServer } from '../webhook.js';
 import { 
-    formatJson, formatRendersTable,
-    success, error, info, warn 
+    formatJson, formatRendersTable, formatProgress, formatBytes, formatDuration, ProgressBar,
+    exitWithError, success, info
 } from '../output.js';
+import { CanveleteError, TimeoutError, UsageError, getExitCode } from '../errors.js';
+
+const DEFAULT_BATCH_PATTERN = '{{id}}.{{format}}';
+
+const BATCH_PATTERN_VARIABLES = [
+    'index', 'id', 'designId', 'templateId', 'format', 'quality', 'width', 'height', 'data', 'date', 'timestamp',
+];
 
 export function registerRenderCommands(program) {
     // Main render command
     program
         .command('render')
         .description('Render a design to image or PDF')
-        .option('-d, --design <id>', 'Design ID to render')
+        .option('-d, --design <id>', 'Design ID or alias from canvelete.config.json')
         .option('-t, --template <id>', 'Template ID to render')
-        .option('-f, --format <format>', 'Output format (png, jpg, pdf, svg)', 'png')
+        .option('-f, --format <format>', 'Output format (png, jpg, pdf, svg; default from project, profile or config)')
         .option('-o, --output <file>', 'Output file path')
-        .option('-q, --quality <number>', 'Quality (1-100)', '90')
+        .option('-q, --quality <number>', 'Quality (1-100; default from project, profile or config)')
         .option('-w, --width <pixels>', 'Custom width')
         .option('-h, --height <pixels>', 'Custom height')
         .option('--data <json>', 'Dynamic data as JSON string')
         .option('--data-file <file>', 'Dynamic data from JSON file')
         .option('--async', 'Use async rendering (returns job ID)')
+        .option('--callback-url <url>', 'With --async, URL to notify when the job finishes (see `renders listen`)')
         .option('--stdout', 'Output binary to stdout (for piping)')
+        .option('--idempotency-key <key>', 'Reuse the key of an earlier attempt so a retry is not billed twice')
+        .option('--json', 'Output the result as JSON, including the idempotency key')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.design && !options.template) {
-                error('Either --design or --template is required');
-                process.exit(1);
+                exitWithError(new UsageError('Either --design or --template is required'), options);
+            }
+
+            if (options.json && options.stdout) {
+                exitWithError(new UsageError('--json cannot be combined with --stdout'), options);
+            }
+
+            if (options.callbackUrl && !options.async) {
+                exitWithError(new UsageError('--callback-url requires --async'), options);
             }
 
+            // Fall back to the project's, then the active profile's defaults
+            options.design = resolveDesignId(options.design);
+            options.format = options.format || getDefaultFormat();
+            options.quality = options.quality || getDefaultQuality();
+
             // Parse dynamic data
             let dynamicData = null;
             if (options.dataFile) {
@@ -44,24 +77,25 @@ export function registerRenderCommands(program) {
                     const fileContent = fs.readFileSync(options.dataFile, 'utf8');
                     dynamicData = JSON.parse(fileContent);
                 } catch (err) {
-                    error(`Failed to read data file: ${err.message}`);
-                    process.exit(1);
+                    exitWithError(new UsageError(`Failed to read data file: ${err.message}`, { cause: err }), options);
                 }
             } else if (options.data) {
                 try {
                     dynamicData = JSON.parse(options.data);
                 } catch (err) {
-                    error(`Invalid JSON data: ${err.message}`);
-                    process.exit(1);
+                    exitWithError(new UsageError(`Invalid JSON data: ${err.message}`, { cause: err }), options);
                 }
             }
 
+            const idempotencyKey = options.idempotencyKey || createIdempotencyKey();
             const renderOptions = {
                 designId: options.design,
                 templateId: options.template,
                 format: options.format,
                 quality: parseInt(options.quality),
                 dynamicData,
+                idempotencyKey,
+                callbackUrl: options.callbackUrl,
             };
 
             if (options.width) renderOptions.width = parseInt(options.width);
@@ -75,6 +109,11 @@ export function registerRenderCommands(program) {
                 try {
                     const result = await client.renderAsync(renderOptions);
                     spinner.stop();
+
+                    if (options.json) {
+                        console.log(formatJson({ ...result, idempotencyKey }));
+                        return;
+                    }
                     
                     success('Render job started');
                     console.log(chalk.gray(`Job ID: ${result.jobId}`));
@@ -82,11 +121,13 @@ export function registerRenderCommands(program) {
                     if (result.estimatedTime) {
                         console.log(chalk.gray(`Estimated time: ${result.estimatedTime}s`));
                     }
+                    if (options.callbackUrl) {
+                        console.log(chalk.gray(`Callback: ${options.callbackUrl}`));
+                    }
                     console.log(chalk.gray('\nCheck status with: canvelete render status ' + result.jobId));
                 } catch (err) {
                     spinner.fail('Failed to start render job');
-                    error(err.message);
-                    process.exit(1);
+                    exitWithError(err, options);
                 }
                 return;
             }
@@ -95,13 +136,10 @@ export function registerRenderCommands(program) {
             const spinner = ora('Rendering...').start();
 
             try {
-                const imageData = await client.render(renderOptions);
-                spinner.stop();
-
-                const buffer = Buffer.from(imageData);
-
                 if (options.stdout) {
-                    process.stdout.write(buffer);
+                    const imageData = await client.render(renderOptions);
+                    spinner.stop();
+                    process.stdout.write(Buffer.from(imageData));
                     return;
                 }
 
@@ -109,24 +147,28 @@ export function registerRenderCommands(program) {
                 let outputPath = options.output;
                 if (!outputPath) {
                     const id = options.design || options.template;
-                    outputPath = `${id.substring(0, 8)}_${Date.now()}.${options.format}`;
+                    outputPath = path.join(getOutputDir(), `${id.substring(0, 8)}_${Date.now()}.${options.format}`);
                 }
 
-                // Ensure directory exists
-                const dir = path.dirname(outputPath);
-                if (dir && dir !== '.') {
-                    fs.mkdirSync(dir, { recursive: true });
-                }
+                const result = await client.renderToFile(renderOptions, outputPath, {
+                    onProgress: (progress) => {
+                        spinner.text = `Downloading... ${formatProgress(progress)}`;
+                    },
+                });
+                spinner.stop();
 
-                fs.writeFileSync(outputPath, buffer);
+                if (options.json) {
+                    console.log(formatJson({ file: outputPath, bytes: result.bytes, checksum: result.checksum, idempotencyKey }));
+                    return;
+                }
                 
                 success(`Rendered successfully!`);
                 console.log(chalk.gray(`Output: ${outputPath}`));
-                console.log(chalk.gray(`Size: ${(buffer.length / 1024).toFixed(1)} KB`));
+                console.log(chalk.gray(`Size: ${(result.bytes / 1024).toFixed(1)} KB`));
+                console.log(chalk.gray(`SHA-256: ${result.checksum}`));
             } catch (err) {
                 spinner.fail('Render failed');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -142,17 +184,24 @@ export function registerRenderCommands(program) {
         .description('List render history')
         .option('-l, --limit <number>', 'Number of results', '20')
         .option('-p, --page <number>', 'Page number', '1')
+        .option('--all', 'Fetch all pages')
+        .option('--max-items <number>', 'Maximum number of results when fetching all pages')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching render history...').start();
 
             try {
                 const client = createClient();
-                const result = await client.listRenders({
-                    limit: parseInt(options.limit),
-                    page: parseInt(options.page),
-                });
+                const result = options.all || options.maxItems
+                    ? await client.listAll('listRenders', {}, {
+                        maxItems: parseInt(options.maxItems) || undefined,
+                        onProgress: (count) => { spinner.text = `Fetching render history... (${count})`; },
+                    })
+                    : await client.listRenders({
+                        limit: parseInt(options.limit),
+                        page: parseInt(options.page),
+                    });
 
                 spinner.stop();
 
@@ -170,8 +219,7 @@ export function registerRenderCommands(program) {
                 console.log(formatRendersTable(renders));
             } catch (err) {
                 spinner.fail('Failed to fetch render history');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -183,7 +231,7 @@ export function registerRenderCommands(program) {
         .option('--timeout <seconds>', 'Timeout for --wait', '300')
         .option('--json', 'Output as JSON')
         .action(async (jobId, options) => {
-            requireAuth();
+            await requireAuth();
             const client = createClient();
 
             if (options.wait) {
@@ -207,8 +255,7 @@ export function registerRenderCommands(program) {
 
                         if (status.status === 'failed') {
                             spinner.fail('Render failed');
-                            error(status.error || 'Unknown error');
-                            process.exit(1);
+                            exitWithError(new CanveleteError(status.error || 'Unknown error', { code: 'render_failed' }), options);
                         }
 
                         spinner.text = `Waiting for render... (${status.status})`;
@@ -216,11 +263,10 @@ export function registerRenderCommands(program) {
                     }
 
                     spinner.fail('Timeout waiting for render');
-                    process.exit(1);
+                    exitWithError(new TimeoutError(`Render did not finish within ${options.timeout}s`), options);
                 } catch (err) {
                     spinner.fail('Failed to check status');
-                    error(err.message);
-                    process.exit(1);
+                    exitWithError(err, options);
                 }
             } else {
                 const spinner = ora('Checking status...').start();
@@ -247,84 +293,359 @@ export function registerRenderCommands(program) {
                     }
                 } catch (err) {
                     spinner.fail('Failed to check status');
-                    error(err.message);
-                    process.exit(1);
+                    exitWithError(err, options);
                 }
             }
         });
 
+    // Receive render-completion webhooks
+    renderCmd
+        .command('listen')
+        .description('Receive render-completion callbacks and download finished outputs')
+        .option('-p, --port <port>', 'Port to listen on', '8787')
+        .option('--host <host>', 'Interface to bind', '127.0.0.1')
+        .option('-s, --secret <secret>', 'Webhook signing secret (or CANVELETE_WEBHOOK_SECRET)')
+        .option('-o, --output-dir <dir>', 'Directory for downloaded outputs (default from project, profile or config)')
+        .option('--on-complete <command>', 'Command to run after each job (gets CANVELETE_JOB_ID, CANVELETE_JOB_STATUS, CANVELETE_OUTPUT_FILE)')
+        .option('--tolerance <seconds>', 'Maximum age of a signed callback', '300')
+        .option('--json', 'Print one JSON line per job')
+        .action(async (options) => {
+            await requireAuth();
+
+            const secret = options.secret || process.env.CANVELETE_WEBHOOK_SECRET;
+            if (!secret) {
+                exitWithError(new UsageError('--secret or CANVELETE_WEBHOOK_SECRET is required to verify callbacks'), options);
+            }
+
+            options.outputDir = options.outputDir || getOutputDir();
+            fs.mkdirSync(options.outputDir, { recursive: true });
+
+            const client = createClient();
+            const handledJobs = new Set();
+            const log = (line) => {
+                if (!options.json) console.log(line);
+            };
+            const time = () => chalk.gray(`[${new Date().toLocaleTimeString()}]`);
+
+            async function handleJob(job) {
+                // The API retries callbacks that were not acknowledged in
+                // time, so the same job can arrive more than once
+                if (handledJobs.has(job.id)) return;
+                handledJobs.add(job.id);
+
+                const result = { id: job.id, status: job.status, file: null, error: job.error || null };
+
+                if (job.status === 'completed') {
+                    const outputPath = path.join(options.outputDir, `${job.id}.${job.format || 'png'}`);
+                    try {
+                        const download = await client.downloadRenderOutput(job, outputPath);
+                        Object.assign(result, { file: outputPath, bytes: download.bytes, checksum: download.checksum });
+                        log(`${time()} ${chalk.green('✓')} ${job.id} → ${outputPath} ${chalk.gray(`(${formatBytes(download.bytes)})`)}`);
+                    } catch (err) {
+                        Object.assign(result, { status: 'download_failed', error: err.message });
+                        log(`${time()} ${chalk.red('✗')} ${job.id}: download failed: ${err.message}`);
+                    }
+                } else {
+                    log(`${time()} ${chalk.red('✗')} ${job.id}: ${job.error || job.status}`);
+                }
+
+                if (options.json) {
+                    console.log(JSON.stringify(result));
+                }
+
+                if (options.onComplete) {
+                    const { exec } = await import('child_process');
+                    exec(options.onComplete, {
+                        env: {
+                            ...process.env,
+                            CANVELETE_JOB_ID: job.id,
+                            CANVELETE_JOB_STATUS: result.status,
+                            CANVELETE_OUTPUT_FILE: result.file || '',
+                        },
+                    }, (err, stdout) => {
+                        if (err) {
+                            log(chalk.yellow(`  Hook command failed: ${err.message}`));
+                        } else if (stdout) {
+                            log(chalk.gray(`  ${stdout.trim()}`));
+                        }
+                    });
+                }
+            }
+
+            const server = createWebhookServer({
+                secret,
+                tolerance: parseInt(options.tolerance),
+                onEvent: (job) => handleJob(job).catch((err) => {
+                    log(`${time()} ${chalk.red('✗')} ${job.id}: ${err.message}`);
+                }),
+                onReject: (reason, req) => {
+                    log(`${time()} ${chalk.yellow('⚠')} Rejected callback from ${req.socket.remoteAddress}: ${reason}`);
+                },
+            });
+
+            server.on('error', (err) => {
+                exitWithError(new CanveleteError(`Could not listen on ${options.host}:${options.port}: ${err.message}`, { cause: err }), options);
+            });
+
+            server.listen(parseInt(options.port), options.host, () => {
+                const { port } = server.address();
+                log(chalk.bold('\n📡 Listening for render callbacks'));
+                log('─'.repeat(40));
+                log(`Endpoint:  ${chalk.cyan(`http://${options.host}:${port}/`)}`);
+                log(`Output to: ${options.outputDir}`);
+                log(chalk.gray('\nPass the public URL of this endpoint as --callback-url. Press Ctrl+C to stop\n'));
+            });
+
+            onInterrupt(() => {
+                server.close();
+                log(chalk.gray('\n\nStopped listening.'));
+                process.exit(0);
+            });
+        });
+
     // Batch render
     program
         .command('batch-render')
         .description('Render multiple designs')
-        .option('-f, --file <file>', 'JSON file with render configurations')
-        .option('--parallel <number>', 'Number of parallel renders', '3')
-        .option('-o, --output-dir <dir>', 'Output directory', '.')
+        .option('-f, --file <file>', 'Batch file: JSON array, NDJSON (.ndjson, .jsonl) or CSV')
+        .option('--input-format <format>', 'Batch file format (json, ndjson, csv; default from the file extension)')
+        .option('--map <file>', 'JSON file mapping CSV columns to entry fields or data paths')
+        .option('--from-row <number>', 'First row to render (from 1, not counting the CSV header)')
+        .option('--to-row <number>', 'Last row to render')
+        .option('--parallel <number>', 'Maximum parallel renders (default: batch.parallel from canvelete.config.json, or 3)')
+        .option('-o, --output-dir <dir>', 'Output directory (default from project, profile or config)')
+        .option('--callback-url <url>', 'Submit async jobs that notify this URL instead of downloading (see `renders listen`)')
+        .option('--resume', 'Skip entries an earlier run already rendered')
+        .option('--retry-failed', 'Only render entries that failed in an earlier run')
+        .option('--output-pattern <pattern>', 'File name pattern for entries without `output` (default: batch.outputPattern from canvelete.config.json, or {{id}}.{{format}})')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.file) {
-                error('--file is required');
-                console.log(chalk.gray('\nExample batch file:'));
-                console.log(chalk.gray(JSON.stringify([
+                const example = JSON.stringify([
                     { designId: 'design-1', format: 'png', output: 'output1.png' },
                     { designId: 'design-2', format: 'pdf', output: 'output2.pdf', data: { name: 'John' } }
-                ], null, 2)));
-                process.exit(1);
+                ], null, 2);
+                exitWithError(new UsageError('--file is required', { hint: `\nExample batch file:\n${example}` }), options);
             }
 
-            let configs;
-            try {
-                const fileContent = fs.readFileSync(options.file, 'utf8');
-                configs = JSON.parse(fileContent);
-            } catch (err) {
-                error(`Failed to read batch file: ${err.message}`);
-                process.exit(1);
+            if (options.resume && options.retryFailed) {
+                exitWithError(new UsageError('Use either --resume or --retry-failed, not both'), options);
             }
 
-            if (!Array.isArray(configs) || configs.length === 0) {
-                error('Batch file must contain an array of render configurations');
-                process.exit(1);
+            const batchSettings = getBatchSettings();
+            let outputPattern;
+            try {
+                outputPattern = compilePattern(options.outputPattern || batchSettings.outputPattern || DEFAULT_BATCH_PATTERN, {
+                    variables: BATCH_PATTERN_VARIABLES,
+                });
+            } catch (err) {
+                exitWithError(new UsageError(err.message), options);
             }
 
-            const client = createClient();
-            const outputDir = options.outputDir;
-            
+            const outputDir = options.outputDir || getOutputDir();
             if (outputDir !== '.') {
                 fs.mkdirSync(outputDir, { recursive: true });
             }
 
-            console.log(chalk.bold(`\nBatch rendering ${configs.length} designs...\n`));
+            // What earlier runs rendered, failed or left in flight. Entries
+            // left in flight are retried with the same idempotency key, so
+            // re-running a crashed batch does not pay again for renders the
+            // API already did.
+            const state = new BatchState(outputDir);
+            const select = (item) => {
+                if (item.error) return true;
+                const hash = hashEntry(item.entry);
+                if (options.retryFailed) return state.isFailed(hash);
+                if (options.resume) return !state.isDone(hash);
+                return true;
+            };
 
-            let completed = 0;
-            let failed = 0;
+            // Streamed formats are read twice: once to count the rows for
+            // the progress bar, then again as they render
+            let readOptions;
+            let total = 0;
+            let skipped = 0;
+            try {
+                readOptions = {
+                    format: detectBatchFormat(options.file, options.inputFormat),
+                    fromRow: parseRow(options.fromRow, '--from-row') ?? 1,
+                    toRow: parseRow(options.toRow, '--to-row') ?? Infinity,
+                };
+                if (options.map) {
+                    if (readOptions.format !== 'csv') {
+                        throw new Error('--map only applies to CSV files');
+                    }
+                    readOptions.map = loadColumnMap(options.map);
+                }
+                for await (const item of readBatchEntries(options.file, readOptions)) {
+                    if (select(item)) total++;
+                    else skipped++;
+                }
+            } catch (err) {
+                exitWithError(new UsageError(`Failed to read batch file: ${err.message}`, { cause: err }), options);
+            }
 
-            for (const config of configs) {
-                const spinner = ora(`Rendering ${config.output || config.designId}...`).start();
+            if (total === 0) {
+                if (skipped > 0) {
+                    success(options.retryFailed
+                        ? 'No failed entries to retry'
+                        : `Nothing to render: all ${skipped} entries were rendered by an earlier run`);
+                    return;
+                }
+                exitWithError(new UsageError(options.fromRow || options.toRow
+                    ? 'No batch entries in the selected rows'
+                    : 'Batch file must contain at least one render configuration'), options);
+            }
 
-                try {
-                    const imageData = await client.render({
-                        designId: config.designId,
-                        templateId: config.templateId,
-                        format: config.format || 'png',
-                        quality: config.quality || 90,
-                        dynamicData: config.data,
-                        width: config.width,
-                        height: config.height,
-                    });
+            const parallel = parseInt(options.parallel ?? batchSettings.parallel ?? 3) || 1;
+            const limiter = new AdaptiveLimiter({ max: parallel });
+            const client = createClient({
+                retries: getRetryAttempts(batchSettings.retryAttempts),
+                limiter,
+            });
+            const defaultFormat = getDefaultFormat();
+            const defaultQuality = getDefaultQuality();
+
+            state.compact();
+
+            if (skipped > 0) {
+                info(options.retryFailed
+                    ? `Skipping ${skipped} entries that did not fail in the last run`
+                    : `Skipping ${skipped} entries already rendered`);
+            }
+            console.log(chalk.bold(`\nBatch rendering ${total} designs, up to ${parallel} at a time...\n`));
 
-                    const buffer = Buffer.from(imageData);
-                    const outputPath = path.join(outputDir, config.output || `${config.designId}.${config.format || 'png'}`);
-                    fs.writeFileSync(outputPath, buffer);
+            const progress = new ProgressBar(total, {
+                label: 'Rendering',
+                status: () => `[${limiter.describe()}]`,
+            });
+            progress.start();
 
-                    spinner.succeed(`${config.output || config.designId}`);
-                    completed++;
-                } catch (err) {
-                    spinner.fail(`${config.output || config.designId}: ${err.message}`);
-                    failed++;
-                }
+            onInterrupt(() => {
+                progress.stop();
+                console.log(chalk.gray('\nInterrupted. Run again with --resume to continue where this run stopped.'));
+            });
+
+            const outputs = new OutputPathRegistry();
+
+            // Results are printed in input order, whatever order the renders
+            // finish in; a row that could not be read fails like a render
+            let firstFailure = null;
+            let readError = null;
+            try {
+                const items = filterEntries(readBatchEntries(options.file, readOptions), select);
+                await runStreaming(items, limiter, async ({ row, entry: config, error: rowError }) => {
+                    const hash = config && hashEntry(config);
+                    try {
+                        if (rowError) {
+                            throw rowError;
+                        }
+
+                        if (options.callbackUrl) {
+                            const job = await client.renderAsync({
+                                designId: resolveDesignId(config.designId),
+                                templateId: config.templateId,
+                                format: config.format || defaultFormat,
+                                quality: config.quality || defaultQuality,
+                                dynamicData: config.data,
+                                callbackUrl: options.callbackUrl,
+                                idempotencyKey: state.start(hash, row),
+                            });
+
+                            const jobId = job.jobId || job.id;
+                            state.complete(hash, { jobId });
+                            progress.tick(true);
+                            return { jobId };
+                        }
+
+                        // An entry's own `output` can use the same placeholders
+                        const format = config.format || defaultFormat;
+                        const outputPath = resolveOutputPath(
+                            outputDir,
+                            config.output ? compilePattern(config.output, { variables: BATCH_PATTERN_VARIABLES }) : outputPattern,
+                            patternVariables({
+                                index: row,
+                                designId: config.designId,
+                                templateId: config.templateId,
+                                format,
+                                quality: config.quality || defaultQuality,
+                                width: config.width,
+                                height: config.height,
+                                data: config.data || {},
+                            }),
+                        );
+                        outputs.claim(outputPath, `row ${row}`);
+
+                        const written = await client.renderToFile({
+                            designId: resolveDesignId(config.designId),
+                            templateId: config.templateId,
+                            format,
+                            quality: config.quality || defaultQuality,
+                            dynamicData: config.data,
+                            width: config.width,
+                            height: config.height,
+                            idempotencyKey: state.start(hash, row),
+                        }, outputPath);
+
+                        state.complete(hash, { outputPath, checksum: written.checksum, bytes: written.bytes });
+                        progress.tick(true);
+                        return { outputPath };
+                    } catch (err) {
+                        if (hash) state.fail(hash, err);
+                        progress.tick(false);
+                        throw err;
+                    }
+                }, (result, { row, line, entry: config }) => {
+                    const label = result?.outputPath
+                        ? path.relative(outputDir, result.outputPath)
+                        : config?.output || config?.designId || config?.templateId || `row ${row}`;
+                    if (result instanceof Error) {
+                        const location = line ? `line ${line}` : `row ${row}`;
+                        progress.log(`${chalk.red('✗')} ${label} ${chalk.gray(`(${location})`)}: ${result.message}`);
+                        firstFailure = firstFailure || result;
+                    } else if (result.jobId) {
+                        progress.log(`${chalk.green('✓')} ${label} ${chalk.gray(`→ job ${result.jobId}`)}`);
+                    } else {
+                        progress.log(`${chalk.green('✓')} ${label}`);
+                    }
+                });
+            } catch (err) {
+                readError = err;
             }
 
-            console.log(chalk.bold(`\nBatch complete: ${chalk.green(completed)} succeeded, ${chalk.red(failed)} failed`));
+            progress.stop();
+            state.compact();
+
+            const elapsed = (Date.now() - progress.startedAt) / 1000;
+            const skippedText = skipped > 0 ? `, ${skipped} skipped` : '';
+            console.log(chalk.bold(`\nBatch complete: ${chalk.green(progress.succeeded)} succeeded, ${chalk.red(progress.failed)} failed${skippedText}`)
+                + chalk.gray(` in ${formatDuration(elapsed)} (${progress.rate().toFixed(1)}/s)`));
+
+            if (readError) {
+                exitWithError(new UsageError(`Failed to read batch file: ${readError.message}`, { cause: readError }), options);
+            }
+
+            // Exit with the code for the first failure, as listed above
+            if (firstFailure) {
+                console.log(chalk.gray('Run again with --retry-failed to render only the failed entries.'));
+                process.exit(getExitCode(firstFailure));
+            }
         });
 }
+
+function parseRow(value, flag) {
+    if (value === undefined) return undefined;
+
+    const row = Number(value);
+    if (!Number.isInteger(row) || row < 1) {
+        throw new Error(`${flag} must be a row number from 1`);
+    }
+    return row;
+}
+
+async function* filterEntries(items, select) {
+    for await (const item of items) {
+        if (select(item)) yield item;
+    }
+}
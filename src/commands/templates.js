@@ -4,11 +4,11 @@
 
 import chalk from 'chalk';
 import ora from 'ora';
-import { createClient } from '../client.js';
+import { createClient } from '../api.js';
 import { requireAuth } from '../config.js';
 import { 
     formatJson, formatTemplatesTable, formatDesign,
-    success, error, info 
+    exitWithError, success, info 
 } from '../output.js';
 
 export function registerTemplateCommands(program) {
@@ -25,19 +25,29 @@ export function registerTemplateCommands(program) {
         .option('-p, --page <number>', 'Page number', '1')
         .option('-s, --search <query>', 'Search templates')
         .option('-c, --category <category>', 'Filter by category')
+        .option('--all', 'Fetch all pages')
+        .option('--max-items <number>', 'Maximum number of results when fetching all pages')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching templates...').start();
 
             try {
                 const client = createClient();
-                const result = await client.listTemplates({
-                    limit: parseInt(options.limit),
-                    page: parseInt(options.page),
+                const listOptions = {
                     search: options.search,
                     category: options.category,
-                });
+                };
+                const result = options.all || options.maxItems
+                    ? await client.listAll('listTemplates', listOptions, {
+                        maxItems: parseInt(options.maxItems) || undefined,
+                        onProgress: (count) => { spinner.text = `Fetching templates... (${count})`; },
+                    })
+                    : await client.listTemplates({
+                        ...listOptions,
+                        limit: parseInt(options.limit),
+                        page: parseInt(options.page),
+                    });
 
                 spinner.stop();
 
@@ -56,8 +66,7 @@ export function registerTemplateCommands(program) {
                 console.log(chalk.gray(`\nShowing ${templates.length} of ${result.pagination?.total || templates.length} templates`));
             } catch (err) {
                 spinner.fail('Failed to fetch templates');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -67,7 +76,7 @@ export function registerTemplateCommands(program) {
         .description('Get template details')
         .option('--json', 'Output as JSON')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching template...').start();
 
             try {
@@ -97,8 +106,7 @@ export function registerTemplateCommands(program) {
                 }
             } catch (err) {
                 spinner.fail('Failed to fetch template');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -109,7 +117,7 @@ export function registerTemplateCommands(program) {
         .option('-l, --limit <number>', 'Number of results', '20')
         .option('--json', 'Output as JSON')
         .action(async (query, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora(`Searching for "${query}"...`).start();
 
             try {
@@ -135,8 +143,7 @@ export function registerTemplateCommands(program) {
                 console.log(formatTemplatesTable(templates));
             } catch (err) {
                 spinner.fail('Search failed');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -147,7 +154,7 @@ export function registerTemplateCommands(program) {
         .option('-n, --name <name>', 'Name for the new design')
         .option('--json', 'Output as JSON')
         .action(async (id, options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Creating design from template...').start();
 
             try {
@@ -179,8 +186,7 @@ export function registerTemplateCommands(program) {
                 console.log(chalk.gray(`Name: ${design.name}`));
             } catch (err) {
                 spinner.fail('Failed to create design from template');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 }
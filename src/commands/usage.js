@@ -2,13 +2,12 @@
  * Usage and billing commands
  */
 
-import chalk from 'chalk';
 import ora from 'ora';
-import { createClient } from '../client.js';
+import { createClient } from '../api.js';
 import { requireAuth } from '../config.js';
 import { 
     formatJson, formatUsageStats, formatBillingInfo, formatInvoicesTable,
-    success, error, info 
+    exitWithError, info 
 } from '../output.js';
 
 export function registerUsageCommands(program) {
@@ -18,7 +17,7 @@ export function registerUsageCommands(program) {
         .description('View usage statistics')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching usage stats...').start();
 
             try {
@@ -27,15 +26,14 @@ export function registerUsageCommands(program) {
                 spinner.stop();
 
                 if (options.json) {
-                    console.log(formatJson(result));
+                    console.log(formatJson(client.rateLimit ? { ...result, rateLimit: client.rateLimit } : result));
                     return;
                 }
 
-                console.log(formatUsageStats(result));
+                console.log(formatUsageStats(result, client.rateLimit));
             } catch (err) {
                 spinner.fail('Failed to fetch usage stats');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -49,7 +47,7 @@ export function registerUsageCommands(program) {
         .description('View billing details')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching billing info...').start();
 
             try {
@@ -65,8 +63,7 @@ export function registerUsageCommands(program) {
                 console.log(formatBillingInfo(result));
             } catch (err) {
                 spinner.fail('Failed to fetch billing info');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 
@@ -74,16 +71,23 @@ export function registerUsageCommands(program) {
         .command('invoices')
         .description('List invoices')
         .option('-l, --limit <number>', 'Number of results', '20')
+        .option('--all', 'Fetch all pages')
+        .option('--max-items <number>', 'Maximum number of results when fetching all pages')
         .option('--json', 'Output as JSON')
         .action(async (options) => {
-            requireAuth();
+            await requireAuth();
             const spinner = ora('Fetching invoices...').start();
 
             try {
                 const client = createClient();
-                const result = await client.getInvoices({
-                    limit: parseInt(options.limit),
-                });
+                const result = options.all || options.maxItems
+                    ? await client.listAll('getInvoices', {}, {
+                        maxItems: parseInt(options.maxItems) || undefined,
+                        onProgress: (count) => { spinner.text = `Fetching invoices... (${count})`; },
+                    })
+                    : await client.getInvoices({
+                        limit: parseInt(options.limit),
+                    });
                 spinner.stop();
 
                 if (options.json) {
@@ -100,8 +104,7 @@ export function registerUsageCommands(program) {
                 console.log(formatInvoicesTable(invoices));
             } catch (err) {
                 spinner.fail('Failed to fetch invoices');
-                error(err.message);
-                process.exit(1);
+                exitWithError(err, options);
             }
         });
 }
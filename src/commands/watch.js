@@ -5,31 +5,53 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
-import { createClient } from '../client.js';
-import { requireAuth } from '../config.js';
-import { success, error, info, warn } from '../output.js';
+import { createClient } from '../api.js';
+import { requireAuth, getRetryAttempts, getDefaultFormat, getDefaultQuality, getOutputDir } from '../config.js';
+import { getBatchSettings, resolveDesignId, readDataFile } from '../project.js';
+import { onInterrupt } from '../session.js';
+import { AdaptiveLimiter } from '../ratelimit.js';
+import { compilePattern, patternVariables, resolveOutputPath, OutputPathRegistry } from '../filename.js';
+import { UsageError } from '../errors.js';
+import { exitWithError } from '../output.js';
+
+const WATCH_PATTERN_VARIABLES = ['index', 'count', 'id', 'designId', 'templateId', 'format', 'data', 'date', 'timestamp'];
+
+const WATCH_DIR_PATTERN_VARIABLES = ['index', 'name', 'id', 'designId', 'templateId', 'format', 'data', 'date', 'timestamp'];
 
 export function registerWatchCommands(program) {
     program
         .command('watch <dataFile>')
         .description('Watch a data file and auto-render on changes')
-        .option('-d, --design <id>', 'Design ID to render')
+        .option('-d, --design <id>', 'Design ID or alias from canvelete.config.json')
         .option('-t, --template <id>', 'Template ID to render')
-        .option('-o, --output <file>', 'Output file (supports {{timestamp}} placeholder)')
-        .option('-f, --format <format>', 'Output format', 'png')
+        .option('-o, --output <file>', 'Output file; may use placeholders such as {{count}}, {{timestamp}} or {{data.name}}')
+        .option('-f, --format <format>', 'Output format (default from project, profile or config)')
+        .option('-q, --quality <number>', 'Quality (1-100; default from project, profile or config)')
         .option('--debounce <ms>', 'Debounce time in milliseconds', '500')
         .option('--on-change <command>', 'Command to run after successful render')
         .action(async (dataFile, options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.design && !options.template) {
-                error('Either --design or --template is required');
-                process.exit(1);
+                exitWithError(new UsageError('Either --design or --template is required'), options);
             }
 
+            options.design = resolveDesignId(options.design);
+            options.format = options.format || getDefaultFormat();
+            options.quality = options.quality || getDefaultQuality();
+
             if (!fs.existsSync(dataFile)) {
-                error(`File not found: ${dataFile}`);
-                process.exit(1);
+                exitWithError(new UsageError(`File not found: ${dataFile}`), options);
+            }
+
+            let outputPattern;
+            try {
+                outputPattern = compilePattern(
+                    options.output || path.join(getOutputDir(), 'output_{{timestamp}}.{{format}}'),
+                    { variables: WATCH_PATTERN_VARIABLES }
+                );
+            } catch (err) {
+                exitWithError(new UsageError(err.message), options);
             }
 
             const client = createClient();
@@ -48,8 +70,19 @@ export function registerWatchCommands(program) {
             async function render() {
                 try {
                     // Read and parse data file
-                    const content = fs.readFileSync(dataFile, 'utf8');
-                    const dynamicData = JSON.parse(content);
+                    const dynamicData = readDataFile(dataFile);
+
+                    // Each change renders to the same file unless the
+                    // pattern varies, e.g. with {{count}} or {{timestamp}}
+                    renderCount++;
+                    const outputPath = outputPattern(patternVariables({
+                        index: renderCount,
+                        count: renderCount,
+                        designId: options.design,
+                        templateId: options.template,
+                        format: options.format,
+                        data: dynamicData,
+                    }));
 
                     console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] Rendering...`));
 
@@ -57,17 +90,12 @@ export function registerWatchCommands(program) {
                         designId: options.design,
                         templateId: options.template,
                         format: options.format,
-                        quality: 90,
+                        quality: parseInt(options.quality),
                         dynamicData,
                     });
 
                     const buffer = Buffer.from(imageData);
 
-                    // Determine output path
-                    let outputPath = options.output || `output_${Date.now()}.${options.format}`;
-                    outputPath = outputPath.replace('{{timestamp}}', Date.now());
-                    outputPath = outputPath.replace('{{count}}', ++renderCount);
-
                     // Ensure directory exists
                     const dir = path.dirname(outputPath);
                     if (dir && dir !== '.') {
@@ -80,7 +108,7 @@ export function registerWatchCommands(program) {
                     // Run post-render command if specified
                     if (options.onChange) {
                         const { exec } = await import('child_process');
-                        exec(options.onChange, (err, stdout, stderr) => {
+                        exec(options.onChange, (err, stdout) => {
                             if (err) {
                                 console.log(chalk.yellow(`  Post-render command failed: ${err.message}`));
                             } else if (stdout) {
@@ -108,7 +136,7 @@ export function registerWatchCommands(program) {
             });
 
             // Keep process alive
-            process.on('SIGINT', () => {
+            onInterrupt(() => {
                 console.log(chalk.gray('\n\nStopping watch mode...'));
                 process.exit(0);
             });
@@ -118,29 +146,55 @@ export function registerWatchCommands(program) {
     program
         .command('watch-dir <directory>')
         .description('Watch a directory for new JSON files and render them')
-        .option('-d, --design <id>', 'Design ID to render')
+        .option('-d, --design <id>', 'Design ID or alias from canvelete.config.json')
         .option('-t, --template <id>', 'Template ID to render')
-        .option('-o, --output-dir <dir>', 'Output directory', './output')
-        .option('-f, --format <format>', 'Output format', 'png')
+        .option('-o, --output-dir <dir>', 'Output directory (default from project, profile or config)')
+        .option('-f, --format <format>', 'Output format (default from project, profile or config)')
+        .option('-q, --quality <number>', 'Quality (1-100; default from project, profile or config)')
         .option('--delete-after', 'Delete input file after successful render')
+        .option('--parallel <number>', 'Maximum parallel renders', '3')
+        .option('--output-pattern <pattern>', 'Output file name pattern (default: batch.outputPattern from canvelete.config.json, or {{name}}.{{format}})')
         .action(async (directory, options) => {
-            requireAuth();
+            await requireAuth();
 
             if (!options.design && !options.template) {
-                error('Either --design or --template is required');
-                process.exit(1);
+                exitWithError(new UsageError('Either --design or --template is required'), options);
             }
 
+            options.design = resolveDesignId(options.design);
+            options.format = options.format || getDefaultFormat();
+            options.quality = options.quality || getDefaultQuality();
+
             if (!fs.existsSync(directory)) {
-                error(`Directory not found: ${directory}`);
-                process.exit(1);
+                exitWithError(new UsageError(`Directory not found: ${directory}`), options);
+            }
+
+            let outputPattern;
+            try {
+                outputPattern = compilePattern(
+                    options.outputPattern || getBatchSettings().outputPattern || '{{name}}.{{format}}',
+                    { variables: WATCH_DIR_PATTERN_VARIABLES }
+                );
+            } catch (err) {
+                exitWithError(new UsageError(err.message), options);
             }
 
             // Create output directory
+            options.outputDir = options.outputDir || getOutputDir();
             fs.mkdirSync(options.outputDir, { recursive: true });
 
-            const client = createClient();
+            const limiter = new AdaptiveLimiter({
+                max: parseInt(options.parallel) || 1,
+                onChange: () => {
+                    console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] Rate limit: ${limiter.describe()}`));
+                },
+            });
+            const client = createClient({
+                retries: getRetryAttempts(getBatchSettings().retryAttempts),
+                limiter,
+            });
             const processedFiles = new Set();
+            const outputs = new OutputPathRegistry();
 
             console.log(chalk.bold('\n📁 Directory Watch Mode'));
             console.log('─'.repeat(40));
@@ -155,10 +209,23 @@ export function registerWatchCommands(program) {
                 if (!fileName.endsWith('.json')) return;
 
                 processedFiles.add(filePath);
+                const index = processedFiles.size;
+                await limiter.run(() => renderFile(filePath, fileName, index));
+            }
 
+            async function renderFile(filePath, fileName, index) {
                 try {
-                    const content = fs.readFileSync(filePath, 'utf8');
-                    const dynamicData = JSON.parse(content);
+                    const dynamicData = readDataFile(filePath);
+                    const outputPath = resolveOutputPath(options.outputDir, outputPattern, patternVariables({
+                        index,
+                        name: path.basename(fileName, '.json'),
+                        designId: options.design,
+                        templateId: options.template,
+                        format: options.format,
+                        data: dynamicData,
+                    }));
+                    const outputName = path.relative(options.outputDir, outputPath);
+                    outputs.claim(outputPath, fileName);
 
                     console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] Processing ${fileName}...`));
 
@@ -166,14 +233,13 @@ export function registerWatchCommands(program) {
                         designId: options.design,
                         templateId: options.template,
                         format: options.format,
-                        quality: 90,
+                        quality: parseInt(options.quality),
                         dynamicData,
                     });
 
                     const buffer = Buffer.from(imageData);
-                    const outputName = fileName.replace('.json', `.${options.format}`);
-                    const outputPath = path.join(options.outputDir, outputName);
 
+                    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
                     fs.writeFileSync(outputPath, buffer);
                     console.log(chalk.green(`✓ ${fileName} → ${outputName}`));
 
@@ -191,9 +257,7 @@ export function registerWatchCommands(program) {
                 .filter(f => f.endsWith('.json'))
                 .map(f => path.join(directory, f));
 
-            for (const file of existingFiles) {
-                await processFile(file);
-            }
+            await Promise.all(existingFiles.map(processFile));
 
             // Watch for new files
             fs.watch(directory, async (eventType, filename) => {
@@ -207,7 +271,7 @@ export function registerWatchCommands(program) {
             });
 
             // Keep process alive
-            process.on('SIGINT', () => {
+            onInterrupt(() => {
                 console.log(chalk.gray('\n\nStopping watch mode...'));
                 process.exit(0);
             });
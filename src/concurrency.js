@@ -0,0 +1,108 @@
+/**
+ * Concurrency helpers for Canvelete CLI
+ */
+
+/**
+ * Run `worker(item, index)` over `items` with at most `concurrency` calls in
+ * flight. `concurrency` is a number or an AdaptiveLimiter, whose limit can
+ * change while the items run. Results are returned in input order; a
+ * rejected worker does not stop the others, its error is returned in place
+ * of a result.
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+    if (typeof concurrency === 'object') {
+        return Promise.all(items.map((item, index) => concurrency
+            .run(() => worker(item, index))
+            .catch(err => err instanceof Error ? err : new Error(String(err)))));
+    }
+
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runNext() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (err) {
+                results[index] = err instanceof Error ? err : new Error(String(err));
+            }
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runNext);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Like runWithConcurrency, for an iterable or async iterable of any length.
+ * Items are pulled only as slots free up, and `onResult(result, item,
+ * index)` is called in input order as soon as a result and all those before
+ * it are in. At most `window` items are held at once, running or finished
+ * and waiting on an earlier one, so memory stays flat however long the
+ * input is. If reading the input throws, the items already started finish
+ * and are reported before the error is rethrown.
+ */
+export async function runStreaming(source, concurrency, worker, onResult, { window } = {}) {
+    const limiter = typeof concurrency === 'object' ? concurrency : null;
+    const max = limiter ? limiter.max : Math.max(1, concurrency);
+    const size = Math.max(max, window ?? max * 4);
+    const iterator = source[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+
+    const pending = new Map();
+    let next = 0;
+    let reported = 0;
+    let running = 0;
+    let wake = null;
+
+    function flush() {
+        while (pending.get(reported)?.done) {
+            const { item, result } = pending.get(reported);
+            pending.delete(reported);
+            onResult(result, item, reported);
+            reported++;
+        }
+    }
+
+    function start(item, index) {
+        const slot = { item, done: false, result: undefined };
+        pending.set(index, slot);
+        running++;
+
+        const task = () => worker(item, index);
+        Promise.resolve()
+            .then(() => limiter ? limiter.run(task) : task())
+            .catch(err => err instanceof Error ? err : new Error(String(err)))
+            .then((result) => {
+                slot.done = true;
+                slot.result = result;
+                running--;
+                flush();
+                if (wake) {
+                    const resolve = wake;
+                    wake = null;
+                    resolve();
+                }
+            });
+    }
+
+    const settle = () => new Promise(resolve => { wake = resolve; });
+
+    try {
+        for (;;) {
+            while (running >= max || pending.size >= size) {
+                await settle();
+            }
+            const { value, done } = await iterator.next();
+            if (done) break;
+            start(value, next++);
+        }
+    } finally {
+        while (running > 0) {
+            await settle();
+        }
+    }
+
+    return next;
+}
@@ -4,79 +4,420 @@
 
 import Conf from 'conf';
 import chalk from 'chalk';
+import { EXIT_CODES, getExitCode } from './errors.js';
+import { isReplaying } from './cassette.js';
+import { DEFAULT_BASE_URL } from './client.js';
+import { getProjectDefaults, findProjectConfig } from './project.js';
+import {
+    getActiveProfile, getActiveProfileName, getProfiles, saveProfile, usesProfile, getProfilesPath,
+    DEFAULT_PROFILE
+} from './profiles.js';
+import {
+    getCredential, setCredential, deleteCredential, hasCredential, unlockCredentials,
+    profileCredential, getCredentialsPath, GLOBAL_CREDENTIAL,
+    getHelperCredential, storeHelperCredential, eraseHelperCredential
+} from './credentials.js';
 
-const config = new Conf({
-    projectName: 'canvelete-cli',
-    schema: {
-        apiKey: {
-            type: 'string',
-            default: ''
-        },
-        baseUrl: {
-            type: 'string',
-            default: 'https://api.canvelete.com'
-        },
-        defaultFormat: {
-            type: 'string',
-            default: 'png'
-        },
-        defaultQuality: {
-            type: 'number',
-            default: 90
+const SCHEMA = {
+    apiKey: {
+        type: 'string',
+        default: ''
+    },
+    baseUrl: {
+        type: 'string',
+        default: DEFAULT_BASE_URL
+    },
+    defaultFormat: {
+        type: 'string',
+        default: 'png'
+    },
+    defaultQuality: {
+        type: 'number',
+        default: 90
+    },
+    retryAttempts: {
+        type: 'number',
+        default: 3
+    },
+    timeout: {
+        type: 'number',
+        default: 120
+    },
+    maxTime: {
+        type: 'number',
+        default: 0
+    },
+    outputDir: {
+        type: 'string',
+        default: '.'
+    },
+    credentialHelper: {
+        type: 'string',
+        default: ''
+    }
+};
+
+// Where each setting may come from besides the user config: the
+// environment variable and global flag that override it, whether a profile
+// can carry it and whether canvelete.config.json can
+const LAYERS = {
+    apiKey: { env: 'CANVELETE_API_KEY', profile: true },
+    baseUrl: { env: 'CANVELETE_BASE_URL', profile: true },
+    defaultFormat: { profile: true, project: true },
+    defaultQuality: { profile: true, project: true },
+    outputDir: { profile: true, project: true },
+    credentialHelper: { profile: true },
+    retryAttempts: { env: 'CANVELETE_RETRIES', flag: '--retries', integer: true },
+    timeout: { env: 'CANVELETE_TIMEOUT', flag: '--request-timeout' },
+    maxTime: { env: 'CANVELETE_MAX_TIME', flag: '--max-time' },
+};
+
+export const SETTING_KEYS = Object.keys(SCHEMA);
+
+// Created on first use so that importing the SDK never touches the CLI's
+// config file
+let config = null;
+const flagValues = {};
+
+// The store is given the types only: Conf would otherwise write every
+// default into the file, and a value the user set could no longer be told
+// apart from one they never touched
+function getStore() {
+    if (!config) {
+        config = new Conf({
+            projectName: 'canvelete-cli',
+            schema: Object.fromEntries(Object.entries(SCHEMA).map(([key, { type }]) => [key, { type }]))
+        });
+    }
+    return config;
+}
+
+function getStoredValue(key) {
+    return getStore().get(key, SCHEMA[key]?.default);
+}
+
+function parseValue(key, raw) {
+    if (SCHEMA[key].type !== 'number') {
+        return raw;
+    }
+    const value = LAYERS[key].integer ? parseInt(raw) : parseFloat(raw);
+    return isNaN(value) ? undefined : value;
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Record a global flag (--retries, --request-timeout, --max-time), which
+ * wins over every other layer for the rest of the process
+ */
+export function setFlagValue(key, raw) {
+    const value = parseValue(key, raw);
+    if (value !== undefined) {
+        flagValues[key] = value;
+    }
+}
+
+// Settings are resolved in layers, later ones winning:
+//   defaults < user config < profile < project config < env < flags
+// The profile is the active one (--profile / CANVELETE_PROFILE / `profiles
+// use`) and the project config is the nearest canvelete.config.json, which
+// only carries render defaults. Per-command flags such as --format are
+// applied by the commands on top of the resolved value.
+
+/**
+ * Effective value of a setting and a description of the layer it came
+ * from. `project` stands in for the project layer where a command reads it
+ * from elsewhere in canvelete.config.json (e.g. batch.retryAttempts).
+ */
+export function resolveSetting(key, { project } = {}) {
+    if (key === 'apiKey') {
+        return resolveApiKey();
+    }
+
+    const layers = LAYERS[key];
+    if (flagValues[key] !== undefined) {
+        return { value: flagValues[key], origin: `flag ${layers.flag}` };
+    }
+
+    if (layers.env && process.env[layers.env]) {
+        const value = parseValue(key, process.env[layers.env]);
+        if (value !== undefined) {
+            return { value, origin: `env ${layers.env}` };
         }
     }
-});
 
-export function getApiKey() {
-    // Check environment variable first
+    const projectValue = project ?? (layers.project ? getProjectDefaults()[key] : undefined);
+    if (isSet(projectValue)) {
+        return { value: projectValue, origin: `project config (${findProjectConfig()})` };
+    }
+
+    const profile = layers.profile ? getActiveProfile() : null;
+    if (isSet(profile?.[key])) {
+        return { value: profile[key], origin: profileOrigin(getProfilesPath()) };
+    }
+
+    if (getStore().has(key)) {
+        return { value: getStore().get(key), origin: `user config (${getConfigPath()})` };
+    }
+    return { value: SCHEMA[key].default, origin: 'default' };
+}
+
+function profileOrigin(file) {
+    return `profile "${getActiveProfileName()}" (${file})`;
+}
+
+// Keys come from the credential helper when one is configured. Otherwise
+// they are read from plaintext config (`--plaintext` or not yet migrated),
+// or from the encrypted credential store once it is unlocked
+
+function resolveApiKey() {
     const envKey = process.env.CANVELETE_API_KEY;
     if (envKey) {
-        return envKey;
+        return { value: envKey, origin: 'env CANVELETE_API_KEY' };
     }
-    return config.get('apiKey');
+
+    const helper = getCredentialHelper();
+    if (helper) {
+        const value = getHelperCredential(helper, helperFields(getSelectedProfile()));
+        return { value, origin: `credential helper (${helper})` };
+    }
+
+    // A selected profile never falls back to the global key, which may
+    // belong to a different account
+    const profileName = getSelectedProfile();
+    if (profileName) {
+        const profile = getActiveProfile();
+        if (profile?.apiKey) {
+            return { value: profile.apiKey, origin: profileOrigin(getProfilesPath()) };
+        }
+        if (hasCredential(profileCredential(profileName))) {
+            return {
+                value: getCredential(profileCredential(profileName)) || '',
+                origin: profileOrigin(getCredentialsPath()),
+                encrypted: true,
+            };
+        }
+        return { value: '', origin: profileOrigin(getProfilesPath()) };
+    }
+
+    if (getStore().get('apiKey')) {
+        return { value: getStore().get('apiKey'), origin: `user config (${getConfigPath()})` };
+    }
+    if (hasCredential(GLOBAL_CREDENTIAL)) {
+        return { value: getCredential(GLOBAL_CREDENTIAL) || '', origin: `user config (${getCredentialsPath()})`, encrypted: true };
+    }
+    return { value: '', origin: 'default' };
 }
 
-export function setApiKey(key) {
-    config.set('apiKey', key);
+export function getCredentialHelper(profile = getSelectedProfile()) {
+    const profileHelper = profile ? getProfiles()[profile]?.credentialHelper : null;
+    return profileHelper || getStore().get('credentialHelper') || null;
 }
 
-export function clearApiKey() {
-    config.delete('apiKey');
+function helperFields(profile) {
+    return { profile: profile || DEFAULT_PROFILE, baseUrl: getBaseUrl() };
+}
+
+export function getApiKey() {
+    return resolveApiKey().value;
+}
+
+/**
+ * Like getApiKey(), but unlocks the credential store (prompting for the
+ * passphrase if CANVELETE_PASSPHRASE is not set) when the key is in it
+ */
+export async function loadApiKey() {
+    const profileName = getSelectedProfile();
+    const stored = hasCredential(profileName ? profileCredential(profileName) : GLOBAL_CREDENTIAL);
+
+    if (!getApiKey() && stored) {
+        await unlockCredentials();
+    }
+    return getApiKey();
+}
+
+/**
+ * API key and base URL of the named profile, ignoring the environment and
+ * the active profile, for commands that talk to two accounts at once.
+ * `default` without a stored profile is the global configuration. Returns
+ * null if there is no such profile.
+ */
+export async function loadProfileCredentials(name) {
+    const profile = getProfiles()[name];
+    if (!profile && name !== DEFAULT_PROFILE) {
+        return null;
+    }
+
+    const baseUrl = profile?.baseUrl || getStoredValue('baseUrl');
+    const helper = getCredentialHelper(profile ? name : null);
+    if (helper) {
+        return { baseUrl, apiKey: getHelperCredential(helper, { profile: name, baseUrl }) };
+    }
+
+    const credential = profile ? profileCredential(name) : GLOBAL_CREDENTIAL;
+    let apiKey = profile ? profile.apiKey : getStore().get('apiKey');
+    if (!apiKey && hasCredential(credential)) {
+        await unlockCredentials();
+        apiKey = getCredential(credential);
+    }
+    return { baseUrl, apiKey: apiKey || '' };
+}
+
+function getSelectedProfile() {
+    return usesProfile() ? getActiveProfileName() : null;
+}
+
+/**
+ * Store a key for `profile` (default: the active profile when one is
+ * selected, otherwise the global configuration). Keys are encrypted unless
+ * `plaintext` is set.
+ */
+export async function setApiKey(key, { plaintext = false, profile = getSelectedProfile() } = {}) {
+    const helper = getCredentialHelper(profile);
+    if (helper) {
+        storeHelperCredential(helper, { ...helperFields(profile), apiKey: key });
+        return;
+    }
+
+    if (!plaintext) {
+        await unlockCredentials({ create: true });
+        setCredential(profile ? profileCredential(profile) : GLOBAL_CREDENTIAL, key);
+        key = undefined;
+    }
+
+    if (profile) {
+        saveProfile(profile, { apiKey: key });
+    } else if (key) {
+        getStore().set('apiKey', key);
+    } else {
+        getStore().delete('apiKey');
+    }
+}
+
+export async function clearApiKey({ profile = getSelectedProfile() } = {}) {
+    const helper = getCredentialHelper(profile);
+    if (helper) {
+        eraseHelperCredential(helper, helperFields(profile));
+    }
+
+    if (profile) {
+        saveProfile(profile, { apiKey: undefined });
+    } else {
+        getStore().delete('apiKey');
+    }
+
+    const name = profile ? profileCredential(profile) : GLOBAL_CREDENTIAL;
+    if (hasCredential(name)) {
+        await unlockCredentials();
+        deleteCredential(name);
+    }
+}
+
+/**
+ * Move plaintext keys from the global config and every profile into the
+ * encrypted credential store. Returns the names of what was moved.
+ */
+export async function migrateCredentials() {
+    const moved = [];
+    const globalKey = getStore().get('apiKey');
+    const profiles = getProfiles();
+    const plaintextProfiles = Object.keys(profiles).filter(name => profiles[name].apiKey);
+
+    if (!globalKey && plaintextProfiles.length === 0) {
+        return moved;
+    }
+
+    await unlockCredentials({ create: true });
+
+    if (globalKey) {
+        setCredential(GLOBAL_CREDENTIAL, globalKey);
+        getStore().delete('apiKey');
+        moved.push(GLOBAL_CREDENTIAL);
+    }
+
+    for (const name of plaintextProfiles) {
+        setCredential(profileCredential(name), profiles[name].apiKey);
+        saveProfile(name, { apiKey: undefined });
+        moved.push(profileCredential(name));
+    }
+
+    return moved;
 }
 
 export function getBaseUrl() {
-    return process.env.CANVELETE_BASE_URL || config.get('baseUrl');
+    return resolveSetting('baseUrl').value;
 }
 
 export function setBaseUrl(url) {
-    config.set('baseUrl', url);
+    getStore().set('baseUrl', url);
+}
+
+export function getDefaultFormat() {
+    return resolveSetting('defaultFormat').value;
+}
+
+export function getDefaultQuality() {
+    return resolveSetting('defaultQuality').value;
+}
+
+export function getOutputDir() {
+    return resolveSetting('outputDir').value;
+}
+
+export function getRetryAttempts(projectValue) {
+    // --retries and CANVELETE_RETRIES win over the project's batch settings
+    return resolveSetting('retryAttempts', { project: projectValue }).value;
+}
+
+export function getRequestTimeout() {
+    return resolveSetting('timeout').value;
+}
+
+export function getMaxTime() {
+    return resolveSetting('maxTime').value;
 }
 
 export function getConfig(key) {
-    return config.get(key);
+    return getStoredValue(key);
 }
 
 export function setConfig(key, value) {
-    config.set(key, value);
+    getStore().set(key, value);
 }
 
 export function getAllConfig() {
-    return config.store;
+    const defaults = Object.fromEntries(SETTING_KEYS.map(key => [key, SCHEMA[key].default]));
+    return { ...defaults, ...getStore().store };
 }
 
 export function getConfigPath() {
-    return config.path;
+    return getStore().path;
 }
 
-export function requireAuth() {
-    const apiKey = getApiKey();
+export async function requireAuth() {
+    let apiKey;
+    try {
+        apiKey = await loadApiKey();
+    } catch (err) {
+        console.error(chalk.red(`Error: ${err.message}`));
+        process.exit(getExitCode(err));
+    }
+    // Replayed cassettes never reach the API, so no key is needed
+    if (!apiKey && isReplaying()) {
+        return 'replay';
+    }
     if (!apiKey) {
-        console.error(chalk.red('Error: Not authenticated.'));
+        const profileName = getSelectedProfile();
+        console.error(chalk.red(profileName
+            ? `Error: Not authenticated. Profile "${profileName}" has no API key.`
+            : 'Error: Not authenticated.'));
         console.error(chalk.yellow('Run: canvelete auth login'));
         console.error(chalk.yellow('Or set CANVELETE_API_KEY environment variable'));
-        process.exit(1);
+        process.exit(EXIT_CODES.AUTH);
     }
     return apiKey;
 }
 
-export default config;
+export default getStore;
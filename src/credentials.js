@@ -0,0 +1,249 @@
+/**
+ * Encrypted credential store for Canvelete CLI
+ *
+ * API keys live in credentials.enc.json next to the CLI's config files,
+ * encrypted with AES-256-GCM under a key derived from a passphrase with
+ * scrypt. The store is unlocked once per process, from CANVELETE_PASSPHRASE
+ * or an interactive prompt. Entry names (`global`, `profile:<name>`) are
+ * kept in the clear so commands can tell a key exists without unlocking.
+ *
+ * Alternatively a `credentialHelper` command keeps keys off disk entirely.
+ * It is run as `<helper> get|store|erase` and talks a git-credential style
+ * protocol: `key=value` lines on stdin, terminated by a blank line, and
+ * `apiKey=<key>` on stdout in reply to `get`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { spawnSync } from 'child_process';
+import inquirer from 'inquirer';
+import { getProfilesPath } from './profiles.js';
+import { CredentialStoreError, CredentialHelperError } from './errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+const KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const HELPER_TIMEOUT = 60000;
+
+export const GLOBAL_CREDENTIAL = 'global';
+
+let unlocked = null;
+const helperCache = new Map();
+
+export function profileCredential(name) {
+    return `profile:${name}`;
+}
+
+export function getCredentialsPath() {
+    return path.join(path.dirname(getProfilesPath()), 'credentials.enc.json');
+}
+
+export function hasCredentialStore() {
+    return fs.existsSync(getCredentialsPath());
+}
+
+export function isUnlocked() {
+    return unlocked !== null;
+}
+
+function readStoreFile() {
+    try {
+        return JSON.parse(fs.readFileSync(getCredentialsPath(), 'utf8'));
+    } catch (err) {
+        throw new CredentialStoreError(`Cannot read credential store ${getCredentialsPath()}: ${err.message}`);
+    }
+}
+
+/**
+ * Names of stored credentials; available without unlocking
+ */
+export function listCredentialNames() {
+    return hasCredentialStore() ? readStoreFile().names || [] : [];
+}
+
+export function hasCredential(name) {
+    return listCredentialNames().includes(name);
+}
+
+async function askPassphrase(create) {
+    if (!process.stdin.isTTY) {
+        throw new CredentialStoreError(
+            'The credential store is locked. Set CANVELETE_PASSPHRASE, or use --plaintext to store keys unencrypted.'
+        );
+    }
+
+    const questions = [{
+        type: 'password',
+        name: 'passphrase',
+        message: create ? 'Choose a passphrase for the credential store:' : 'Credential store passphrase:',
+        mask: '*',
+        validate: (input) => input.length > 0 || 'Passphrase is required',
+    }];
+    if (create) {
+        questions.push({
+            type: 'password',
+            name: 'confirm',
+            message: 'Repeat passphrase:',
+            mask: '*',
+            validate: (input, answers) => input === answers.passphrase || 'Passphrases do not match',
+        });
+    }
+
+    const { passphrase } = await inquirer.prompt(questions);
+    return passphrase;
+}
+
+/**
+ * Unlock the store for the rest of the process. With `create`, a missing
+ * store is initialised with a new passphrase.
+ */
+export async function unlockCredentials({ create = false } = {}) {
+    if (unlocked && (unlocked.key || !create)) return;
+
+    const exists = hasCredentialStore();
+    if (!exists && !create) {
+        unlocked = { key: null, kdf: null, entries: {} };
+        return;
+    }
+
+    const passphrase = process.env.CANVELETE_PASSPHRASE || await askPassphrase(!exists);
+
+    if (!exists) {
+        const kdf = { ...KDF, salt: crypto.randomBytes(16).toString('base64') };
+        unlocked = { key: await deriveKey(passphrase, kdf), kdf, entries: {} };
+        return;
+    }
+
+    const file = readStoreFile();
+    const key = await deriveKey(passphrase, file.kdf);
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+        const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(file.data, 'base64')),
+            decipher.final(),
+        ]);
+        unlocked = { key, kdf: file.kdf, entries: JSON.parse(plaintext.toString('utf8')) };
+    } catch {
+        throw new CredentialStoreError('Wrong passphrase for the credential store');
+    }
+}
+
+function deriveKey(passphrase, kdf) {
+    return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+        N: kdf.N,
+        r: kdf.r,
+        p: kdf.p,
+        maxmem: 128 * kdf.N * kdf.r * 2,
+    });
+}
+
+/**
+ * Read a credential. Returns undefined while the store is locked.
+ */
+export function getCredential(name) {
+    return unlocked?.entries[name];
+}
+
+export function setCredential(name, value) {
+    requireUnlocked();
+    unlocked.entries[name] = value;
+    save();
+}
+
+export function deleteCredential(name) {
+    requireUnlocked();
+    if (name in unlocked.entries) {
+        delete unlocked.entries[name];
+        save();
+    }
+}
+
+function requireUnlocked() {
+    if (!unlocked?.key) {
+        throw new CredentialStoreError('The credential store must be unlocked first');
+    }
+}
+
+function save() {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', unlocked.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(unlocked.entries), 'utf8'), cipher.final()]);
+
+    const file = {
+        version: 1,
+        kdf: unlocked.kdf,
+        names: Object.keys(unlocked.entries),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+
+    const filePath = getCredentialsPath();
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Run `<helper> <action>` with `fields` on stdin and return the fields it
+ * printed. Runs synchronously so getApiKey() can stay synchronous.
+ */
+export function runCredentialHelper(helper, action, fields = {}) {
+    const input = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${value}\n`)
+        .join('') + '\n';
+
+    const result = spawnSync(`${helper} ${action}`, {
+        shell: true,
+        input,
+        encoding: 'utf8',
+        timeout: HELPER_TIMEOUT,
+    });
+
+    if (result.error) {
+        const reason = result.error.code === 'ETIMEDOUT'
+            ? `timed out after ${HELPER_TIMEOUT / 1000}s`
+            : result.error.message;
+        throw new CredentialHelperError(`Credential helper "${helper}" could not ${action}: ${reason}`);
+    }
+    if (result.status !== 0) {
+        const detail = result.stderr.trim() || `exited with code ${result.status ?? result.signal}`;
+        throw new CredentialHelperError(`Credential helper "${helper}" failed to ${action}: ${detail}`);
+    }
+
+    const output = {};
+    for (const line of result.stdout.split(/\r?\n/)) {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            output[line.substring(0, separator)] = line.substring(separator + 1);
+        }
+    }
+    return output;
+}
+
+/**
+ * Ask the helper for a key, once per helper and profile for the lifetime
+ * of the process
+ */
+export function getHelperCredential(helper, fields) {
+    const cacheKey = `${helper}\0${fields.profile}`;
+    if (!helperCache.has(cacheKey)) {
+        helperCache.set(cacheKey, runCredentialHelper(helper, 'get', fields).apiKey || '');
+    }
+    return helperCache.get(cacheKey);
+}
+
+export function storeHelperCredential(helper, fields) {
+    runCredentialHelper(helper, 'store', fields);
+    helperCache.set(`${helper}\0${fields.profile}`, fields.apiKey);
+}
+
+export function eraseHelperCredential(helper, fields) {
+    runCredentialHelper(helper, 'erase', fields);
+    helperCache.delete(`${helper}\0${fields.profile}`);
+}
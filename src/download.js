@@ -0,0 +1,98 @@
+/**
+ * Streaming downloads for Canvelete CLI
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { trackPartialFile } from './session.js';
+import { CanveleteError, NetworkError, TimeoutError } from './errors.js';
+
+/**
+ * Stream a fetch Response body to disk. The body is written to a temp file
+ * next to the destination and renamed into place only once complete, so an
+ * interrupted download never leaves a truncated output behind. The
+ * `timeout` option (seconds) aborts the download if the body stalls.
+ */
+export async function writeResponseToFile(response, outputPath, options = {}) {
+    const dir = path.dirname(outputPath);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const tempPath = path.join(dir, `.${path.basename(outputPath)}.${process.pid}.${Date.now()}.tmp`);
+    const untrack = trackPartialFile(tempPath);
+    const total = parseInt(response.headers.get('content-length')) || null;
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+    let idleTimer = null;
+
+    const meter = new Transform({
+        transform(chunk, encoding, callback) {
+            resetIdleTimer();
+            hash.update(chunk);
+            bytes += chunk.length;
+            if (options.onProgress) options.onProgress({ bytes, total });
+            callback(null, chunk);
+        }
+    });
+
+    function resetIdleTimer() {
+        clearTimeout(idleTimer);
+        if (!options.timeout) return;
+        idleTimer = setTimeout(() => {
+            meter.destroy(new TimeoutError(`Download stalled for ${options.timeout}s`));
+        }, options.timeout * 1000);
+    }
+
+    try {
+        resetIdleTimer();
+        await pipeline(
+            Readable.fromWeb(response.body),
+            meter,
+            fs.createWriteStream(tempPath),
+            { signal: options.signal }
+        );
+        fs.renameSync(tempPath, outputPath);
+    } catch (err) {
+        fs.rmSync(tempPath, { force: true });
+        if (options.signal?.aborted) throw options.signal.reason;
+        if (err instanceof CanveleteError || err.code === 'ENOENT' || err.code === 'EACCES') throw err;
+        throw new NetworkError(`Download failed: ${err.message}`, { cause: err });
+    } finally {
+        clearTimeout(idleTimer);
+        untrack();
+    }
+
+    return {
+        path: outputPath,
+        bytes,
+        checksum: hash.digest('hex'),
+    };
+}
+
+/**
+ * SHA-256 of a file on disk, hex encoded
+ */
+export async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Local file name for an asset: its ID and name, both reduced to a single
+ * path segment, so same-named assets don't collide and neither value can
+ * reach outside the directory
+ */
+export function assetFileName(asset) {
+    return `${safeFileName(asset.id)}-${safeFileName(asset.name || asset.id)}`;
+}
+
+// Names made only of dots would refer to the directory itself or its parent
+function safeFileName(name) {
+    const safe = String(name).replace(/[/\\:*?"<>|\x00-\x1f]+/g, '_').substring(0, 200);
+    return /^\.*$/.test(safe) ? '_' : safe;
+}
@@ -0,0 +1,198 @@
+/**
+ * Error types and exit codes for Canvelete CLI
+ */
+
+export const EXIT_CODES = {
+    GENERAL: 1,
+    AUTH: 3,
+    PERMISSION: 4,
+    NOT_FOUND: 5,
+    VALIDATION: 6,
+    RATE_LIMIT: 7,
+    SERVER: 8,
+    NETWORK: 9,
+    CANCELLED: 130,
+};
+
+export class CanveleteError extends Error {
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = options.code || 'error';
+        this.exitCode = EXIT_CODES.GENERAL;
+    }
+
+    toJSON() {
+        return {
+            type: this.name,
+            code: this.code,
+            message: this.message,
+            exitCode: this.exitCode,
+            ...(this.idempotencyKey && { idempotencyKey: this.idempotencyKey }),
+        };
+    }
+}
+
+/**
+ * The API answered with a non-2xx status
+ */
+export class APIError extends CanveleteError {
+    constructor(message, options = {}) {
+        super(message, { code: 'api_error', ...options });
+        this.status = options.status;
+        this.requestId = options.requestId || null;
+        this.body = options.body ?? null;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            status: this.status,
+            requestId: this.requestId,
+            details: this.body,
+        };
+    }
+}
+
+export class AuthenticationError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'unauthorized', ...options });
+        this.exitCode = EXIT_CODES.AUTH;
+    }
+}
+
+export class PermissionError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'forbidden', ...options });
+        this.exitCode = EXIT_CODES.PERMISSION;
+    }
+}
+
+export class NotFoundError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'not_found', ...options });
+        this.exitCode = EXIT_CODES.NOT_FOUND;
+    }
+}
+
+export class ValidationError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'invalid_request', ...options });
+        this.exitCode = EXIT_CODES.VALIDATION;
+    }
+}
+
+export class RateLimitError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'rate_limited', ...options });
+        this.exitCode = EXIT_CODES.RATE_LIMIT;
+        this.retryAfter = options.retryAfter ?? null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), retryAfter: this.retryAfter };
+    }
+}
+
+export class ServerError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'server_error', ...options });
+        this.exitCode = EXIT_CODES.SERVER;
+    }
+}
+
+/**
+ * The request never produced a response (DNS, connection reset, timeout)
+ */
+export class NetworkError extends CanveleteError {
+    constructor(message, options = {}) {
+        super(message, { code: 'network_error', ...options });
+        this.exitCode = EXIT_CODES.NETWORK;
+    }
+}
+
+export class TimeoutError extends NetworkError {
+    constructor(message, options = {}) {
+        super(message, { code: 'timeout', ...options });
+    }
+}
+
+export class CancelledError extends CanveleteError {
+    constructor(message = 'Cancelled', options = {}) {
+        super(message, { code: 'cancelled', ...options });
+        this.exitCode = EXIT_CODES.CANCELLED;
+    }
+}
+
+/**
+ * The encrypted credential store could not be read or unlocked
+ */
+export class CredentialStoreError extends CanveleteError {
+    constructor(message, options = {}) {
+        super(message, { code: 'credential_store', ...options });
+        this.exitCode = EXIT_CODES.AUTH;
+    }
+}
+
+/**
+ * The configured credential helper could not be run or reported a failure
+ */
+export class CredentialHelperError extends CanveleteError {
+    constructor(message, options = {}) {
+        super(message, { code: 'credential_helper', ...options });
+        this.exitCode = EXIT_CODES.AUTH;
+    }
+}
+
+/**
+ * A row of a batch file could not be turned into a render entry. `line` is
+ * the source line the row starts on, when the format has lines.
+ */
+export class BatchEntryError extends CanveleteError {
+    constructor(message, options = {}) {
+        super(message, { code: 'batch_entry', ...options });
+        this.exitCode = EXIT_CODES.VALIDATION;
+        this.row = options.row ?? null;
+        this.line = options.line ?? null;
+    }
+}
+
+/**
+ * Invalid options or input, caught before anything is sent to the API.
+ * `hint` is an extra line shown under the message, e.g. the valid values.
+ */
+export class UsageError extends CanveleteError {
+    constructor(message, options = {}) {
+        super(message, { code: 'invalid_usage', ...options });
+        this.exitCode = EXIT_CODES.VALIDATION;
+        this.hint = options.hint ?? null;
+    }
+}
+
+/**
+ * canvelete.config.json could not be parsed, or references variables that
+ * have no value
+ */
+export class ProjectConfigError extends CanveleteError {
+    constructor(message, options = {}) {
+        super(message, { code: 'project_config', ...options });
+        this.exitCode = EXIT_CODES.VALIDATION;
+        this.file = options.file ?? null;
+    }
+}
+
+export function createAPIError(status, message, options = {}) {
+    if (status === 401) return new AuthenticationError(message, { status, ...options });
+    if (status === 403) return new PermissionError(message, { status, ...options });
+    if (status === 404) return new NotFoundError(message, { status, ...options });
+    if (status === 400 || status === 409 || status === 422) {
+        return new ValidationError(message, { status, ...options });
+    }
+    if (status === 429) return new RateLimitError(message, { status, ...options });
+    if (status >= 500) return new ServerError(message, { status, ...options });
+    return new APIError(message, { status, ...options });
+}
+
+export function getExitCode(err) {
+    return err?.exitCode || EXIT_CODES.GENERAL;
+}
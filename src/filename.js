@@ -0,0 +1,177 @@
+/**
+ * Output file name patterns for Canvelete CLI
+ *
+ * `batch-render`, `watch`, `watch-dir` and `export-all` name their outputs
+ * from a pattern such as `{{designId}}/{{data.name | slugify}}_{{index | pad:4}}.{{format}}`.
+ * Placeholders name a variable (or a dotted path into `data`) followed by
+ * optional filters; `/` in the pattern creates subdirectories. Substituted
+ * values never add directories of their own.
+ */
+
+import path from 'path';
+
+const PLACEHOLDER = /\{\{([^{}]*)\}\}/g;
+
+const DATE_TOKENS = /YYYY|YY|MM|DD|HH|mm|ss|SSS/g;
+
+export const FILTERS = {
+    lower: value => String(value).toLowerCase(),
+    upper: value => String(value).toUpperCase(),
+    slugify: value => slugify(value),
+    pad: (value, width) => String(value).padStart(parseInt(width) || 0, '0'),
+    truncate: (value, length) => String(value).substring(0, parseInt(length) || 0),
+    date: (value, format) => formatDate(toDate(value), format || 'YYYY-MM-DD'),
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+};
+
+/**
+ * Lowercase ASCII with runs of anything else turned into single dashes:
+ * "Zoë Smith, Jr." -> "zoe-smith-jr"
+ */
+export function slugify(value) {
+    return String(value)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Format a date with YYYY, YY, MM, DD, HH, mm, ss and SSS tokens (local
+ * time); other characters are kept as they are
+ */
+export function formatDate(date, format) {
+    const pad = (number, width = 2) => String(number).padStart(width, '0');
+    const tokens = {
+        YYYY: () => String(date.getFullYear()),
+        YY: () => pad(date.getFullYear() % 100),
+        MM: () => pad(date.getMonth() + 1),
+        DD: () => pad(date.getDate()),
+        HH: () => pad(date.getHours()),
+        mm: () => pad(date.getMinutes()),
+        ss: () => pad(date.getSeconds()),
+        SSS: () => pad(date.getMilliseconds(), 3),
+    };
+    return format.replace(DATE_TOKENS, token => tokens[token]());
+}
+
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`"${value}" is not a date`);
+    }
+    return date;
+}
+
+/**
+ * Compile a pattern into a function from variables to a file path. Throws
+ * on unknown filters, a `default` without a value, and on variables outside
+ * `variables` when given, so a mistyped pattern fails before anything
+ * renders. The function throws if a placeholder has no value, unless its
+ * first filter is `default`.
+ */
+export function compilePattern(pattern, { variables } = {}) {
+    const placeholders = [];
+
+    for (const [, body] of pattern.matchAll(PLACEHOLDER)) {
+        const [name, ...filterSpecs] = body.split('|').map(part => part.trim());
+        if (!name) {
+            throw new Error(`Empty placeholder in output pattern "${pattern}"`);
+        }
+        if (variables && !variables.includes(name.split('.')[0])) {
+            throw new Error(`Unknown placeholder {{${name}}} in output pattern. Available: ${variables.join(', ')}`);
+        }
+
+        const filters = filterSpecs.map((spec) => {
+            const separator = spec.indexOf(':');
+            const filterName = separator === -1 ? spec : spec.substring(0, separator);
+            if (!Object.prototype.hasOwnProperty.call(FILTERS, filterName)) {
+                throw new Error(`Unknown filter "${filterName}" in output pattern. Available: ${Object.keys(FILTERS).join(', ')}`);
+            }
+            if (filterName === 'default' && separator === -1) {
+                throw new Error(`Filter "default" in {{${body.trim()}}} needs a value, e.g. default:unknown`);
+            }
+            return { name: filterName, filter: FILTERS[filterName], arg: separator === -1 ? undefined : spec.substring(separator + 1) };
+        });
+
+        placeholders.push({ name, filters, optional: filters[0]?.name === 'default' });
+    }
+
+    return (vars) => {
+        let index = 0;
+        return pattern.replace(PLACEHOLDER, () => {
+            const { name, filters, optional } = placeholders[index++];
+            let value = lookup(vars, name);
+            if (!optional && (value === undefined || value === null)) {
+                throw new Error(`No value for {{${name}}} in output pattern`);
+            }
+
+            for (const { filter, arg } of filters) {
+                value = filter(value, arg);
+            }
+            return sanitize(value instanceof Date ? formatDate(value, 'YYYY-MM-DD') : value);
+        });
+    };
+}
+
+function lookup(vars, name) {
+    return name.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), vars);
+}
+
+// Values are file name parts: no separators or control characters
+function sanitize(value) {
+    return String(value).replace(/[/\\\x00-\x1f]/g, '-');
+}
+
+/**
+ * Variables every pattern can use, plus the ones a command supplies:
+ * `id` is the design ID or, for template renders, the template ID; `date`
+ * and `timestamp` are the time the name is made
+ */
+export function patternVariables(values) {
+    const now = new Date();
+    return {
+        ...values,
+        id: values.designId ?? values.templateId,
+        date: now,
+        timestamp: now.getTime(),
+    };
+}
+
+/**
+ * Path of a pattern's output inside `outputDir`. Throws if the pattern
+ * would place it outside (`../`, or an absolute path).
+ */
+export function resolveOutputPath(outputDir, render, vars) {
+    const name = render(vars);
+    if (!name.trim()) {
+        throw new Error('Output pattern produced an empty file name');
+    }
+
+    const outputPath = path.join(outputDir, name);
+    const relative = path.relative(outputDir, outputPath);
+    if (path.isAbsolute(name) || relative === '..' || relative.startsWith(`..${path.sep}`) || relative === '') {
+        throw new Error(`Output path "${name}" is outside the output directory`);
+    }
+    return outputPath;
+}
+
+/**
+ * Output paths claimed during a run, so two inputs that would write the
+ * same file are reported instead of one silently overwriting the other
+ */
+export class OutputPathRegistry {
+    constructor() {
+        this.owners = new Map();
+    }
+
+    claim(outputPath, owner) {
+        const key = path.resolve(outputPath);
+        const existing = this.owners.get(key);
+        if (existing !== undefined && existing !== owner) {
+            throw new Error(`Output ${outputPath} is also the output of ${existing}`);
+        }
+        this.owners.set(key, owner);
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Minimal glob expansion for file arguments (*, ?, ** and {a,b})
+ *
+ * Shells usually expand globs themselves; this covers quoted patterns and
+ * shells that don't (e.g. cmd.exe).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function hasGlob(pattern) {
+    return /[*?{]/.test(pattern);
+}
+
+export function expandGlobs(patterns) {
+    const files = new Set();
+
+    for (const pattern of patterns) {
+        if (!hasGlob(pattern)) {
+            files.add(pattern);
+            continue;
+        }
+        for (const file of expandGlob(pattern)) {
+            files.add(file);
+        }
+    }
+
+    return [...files];
+}
+
+function expandGlob(pattern) {
+    const normalized = pattern.split(path.sep).join('/');
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(hasGlob);
+    const base = segments.slice(0, firstGlob).join('/') || '.';
+    const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    if (!fs.existsSync(base)) return [];
+
+    return walk(base)
+        .filter(file => regex.test(path.relative(base, file).split(path.sep).join('/')))
+        .sort();
+}
+
+function walk(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...walk(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Regular expression matching a relative path (with `/` separators)
+ * against a glob
+ */
+export function globToRegExp(glob) {
+    return new RegExp(`^${globToSource(glob)}$`);
+}
+
+function globToSource(glob) {
+    let regex = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            regex += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                regex += '\\{';
+                continue;
+            }
+            // Each alternative may use wildcards of its own
+            const options = glob.slice(i + 1, end).split(',').map(globToSource);
+            regex += `(?:${options.join('|')})`;
+            i = end;
+        } else {
+            regex += escapeRegExp(char);
+        }
+    }
+    return regex;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+}
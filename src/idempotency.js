@@ -0,0 +1,31 @@
+/**
+ * Idempotency keys for Canvelete CLI
+ *
+ * Create and render calls send an `Idempotency-Key` header so a retried
+ * request (after a timeout, or on a resumed batch) is recognised by the API
+ * instead of creating a duplicate or billing the render twice.
+ */
+
+import crypto from 'crypto';
+
+export function createIdempotencyKey() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Stable hash of a batch entry: the same entry hashes the same regardless of
+ * key order in the batch file
+ */
+export function hashEntry(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify(sortKeys(entry))).digest('hex');
+}
+
+export function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.keys(value).sort().map(key => [key, sortKeys(value[key])])
+        );
+    }
+    return value;
+}
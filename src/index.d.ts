@@ -0,0 +1,380 @@
+/**
+ * Type declarations for the Canvelete SDK
+ */
+
+export interface ClientOptions {
+    /** API key. Defaults to the CANVELETE_API_KEY environment variable. */
+    apiKey?: string;
+    /** API base URL. Defaults to CANVELETE_BASE_URL or https://api.canvelete.com. */
+    baseUrl?: string;
+    /** fetch implementation to use instead of the global one. */
+    fetch?: typeof fetch;
+    /** Retry attempts for failed requests (default 3). */
+    retries?: number;
+    /** Base delay in milliseconds for exponential backoff (default 500). */
+    retryDelay?: number;
+    /** Per-request timeout in seconds, 0 to disable (default 120). */
+    timeout?: number;
+    /** Aborts every in-flight request of this client when signalled. */
+    signal?: AbortSignal;
+    /** Receives the rate-limit budget reported by every API response. */
+    limiter?: AdaptiveLimiter;
+}
+
+export interface RateLimit {
+    limit: number | null;
+    remaining: number | null;
+    /** Epoch milliseconds when the budget resets. */
+    resetAt: number | null;
+}
+
+export interface RequestOptions {
+    json?: unknown;
+    params?: Record<string, string | number | boolean>;
+    binary?: boolean;
+    stream?: boolean;
+    idempotencyKey?: string;
+    retries?: number;
+    timeout?: number;
+}
+
+export interface Pagination {
+    total?: number;
+    page?: number;
+    limit?: number;
+    totalPages?: number;
+    hasMore?: boolean;
+}
+
+export interface ListResponse<T> {
+    data: T[];
+    pagination?: Pagination;
+}
+
+export interface ItemResponse<T> {
+    data: T;
+}
+
+export interface PageOptions {
+    page?: number;
+    limit?: number;
+}
+
+export interface Design {
+    id: string;
+    name: string;
+    description?: string;
+    width: number;
+    height: number;
+    status: 'DRAFT' | 'PUBLISHED' | 'ARCHIVED';
+    visibility: 'PRIVATE' | 'PUBLIC' | 'TEAM';
+    isTemplate: boolean;
+    canvasData?: { elements: CanvasElement[]; [key: string]: unknown };
+    createdAt: string;
+    updatedAt: string;
+    [key: string]: unknown;
+}
+
+export interface Template extends Design {
+    category?: string;
+    dynamicFields?: string[];
+}
+
+export interface CanvasElement {
+    id?: string;
+    type: string;
+    x?: number;
+    y?: number;
+    width?: number;
+    height?: number;
+    [key: string]: unknown;
+}
+
+export interface Asset {
+    id: string;
+    name: string;
+    type: 'IMAGE' | 'FONT' | 'VIDEO' | 'AUDIO';
+    size: number;
+    url?: string;
+    checksum?: string;
+    createdAt: string;
+    updatedAt?: string;
+    [key: string]: unknown;
+}
+
+export interface ApiKey {
+    id: string;
+    name: string;
+    keyPrefix: string;
+    status: string;
+    key?: string;
+    createdAt: string;
+    lastUsedAt?: string | null;
+    expiresAt?: string | null;
+}
+
+export interface RenderJob {
+    id: string;
+    jobId?: string;
+    designId: string;
+    format: string;
+    status: 'pending' | 'processing' | 'completed' | 'failed';
+    fileSize?: number;
+    outputUrl?: string;
+    error?: string;
+    estimatedTime?: number;
+    createdAt: string;
+}
+
+export interface Invoice {
+    id: string;
+    date: string;
+    amount: number;
+    currency: string;
+    status: string;
+}
+
+export interface RenderOptions {
+    designId?: string;
+    templateId?: string;
+    format?: 'png' | 'jpg' | 'jpeg' | 'pdf' | 'svg';
+    quality?: number;
+    width?: number;
+    height?: number;
+    dynamicData?: Record<string, unknown>;
+    dynamicElements?: unknown;
+    /** Sent as Idempotency-Key; generated per call when omitted. */
+    idempotencyKey?: string;
+    /** renderAsync only: URL the API calls when the job finishes. */
+    callbackUrl?: string;
+}
+
+export interface IdempotencyOptions {
+    /** Sent as Idempotency-Key; generated per call when omitted. */
+    idempotencyKey?: string;
+}
+
+export interface DownloadProgress {
+    bytes: number;
+    total: number | null;
+}
+
+export interface DownloadOptions {
+    onProgress?: (progress: DownloadProgress) => void;
+    signal?: AbortSignal;
+    /** Abort if the body stalls for this many seconds. */
+    timeout?: number;
+}
+
+export interface DownloadResult {
+    path: string;
+    bytes: number;
+    /** SHA-256 of the written file, hex encoded. */
+    checksum: string;
+}
+
+type ListMethod =
+    | 'listDesigns'
+    | 'listTemplates'
+    | 'listRenders'
+    | 'listAssets'
+    | 'listApiKeys'
+    | 'getUsageHistory'
+    | 'getInvoices';
+
+export class CanveleteAPIClient {
+    constructor(options?: ClientOptions);
+
+    apiKey: string;
+    baseUrl: string;
+    limiter: AdaptiveLimiter | null;
+    /** Budget from the most recent response that carried rate-limit headers. */
+    rateLimit: RateLimit | null;
+
+    request<T = any>(method: string, endpoint: string, options?: RequestOptions): Promise<T>;
+
+    paginate<T = any>(method: ListMethod, options?: Record<string, unknown>): AsyncGenerator<T, void, undefined>;
+    listAll<T = any>(
+        method: ListMethod,
+        options?: Record<string, unknown>,
+        collect?: { maxItems?: number; onProgress?: (count: number) => void }
+    ): Promise<ListResponse<T>>;
+
+    // Designs
+    listDesigns(options?: PageOptions & { isTemplate?: boolean; status?: string }): Promise<ListResponse<Design>>;
+    getDesign(id: string): Promise<ItemResponse<Design>>;
+    createDesign(data: Partial<Design>, options?: IdempotencyOptions): Promise<ItemResponse<Design>>;
+    updateDesign(id: string, data: Partial<Design>): Promise<ItemResponse<Design>>;
+    deleteDesign(id: string): Promise<unknown>;
+    duplicateDesign(id: string, newName: string, options?: IdempotencyOptions): Promise<ItemResponse<Design>>;
+
+    // Templates
+    listTemplates(options?: PageOptions & { search?: string; category?: string }): Promise<ListResponse<Template>>;
+    getTemplate(id: string): Promise<ItemResponse<Template>>;
+
+    // Rendering
+    render(options: RenderOptions): Promise<ArrayBuffer>;
+    renderToFile(options: RenderOptions, outputPath: string, downloadOptions?: DownloadOptions): Promise<DownloadResult>;
+    renderAsync(options: RenderOptions): Promise<RenderJob>;
+    getRenderStatus(jobId: string): Promise<RenderJob>;
+    downloadRenderOutput(
+        job: Pick<RenderJob, 'id' | 'outputUrl'> | Pick<RenderJob, 'jobId' | 'outputUrl'>,
+        outputPath: string,
+        downloadOptions?: DownloadOptions
+    ): Promise<DownloadResult>;
+    listRenders(options?: PageOptions): Promise<ListResponse<RenderJob>>;
+
+    // Assets
+    listAssets(options?: PageOptions & { type?: Asset['type'] }): Promise<ListResponse<Asset>>;
+    uploadAsset(filePath: string, options?: {
+        name?: string;
+        type?: Asset['type'];
+        contentType?: string;
+        /** SHA-256 of the file, stored with the asset for deduplication. */
+        checksum?: string;
+        onProgress?: (progress: DownloadProgress) => void;
+    }): Promise<ItemResponse<Asset>>;
+    getAsset(id: string): Promise<ItemResponse<Asset>>;
+    downloadAsset(asset: Pick<Asset, 'id' | 'url'>, outputPath: string, downloadOptions?: DownloadOptions): Promise<DownloadResult>;
+    deleteAsset(id: string): Promise<unknown>;
+    searchStockImages(query: string, options?: { page?: number; perPage?: number }): Promise<ListResponse<any>>;
+    searchIcons(query: string, options?: { page?: number; perPage?: number }): Promise<ListResponse<any>>;
+    listFonts(category?: string): Promise<ListResponse<{ family: string; variants: string[] }>>;
+
+    // API keys
+    listApiKeys(options?: PageOptions): Promise<ListResponse<ApiKey>>;
+    createApiKey(name: string, expiresAt?: string, options?: IdempotencyOptions): Promise<ItemResponse<ApiKey>>;
+    revokeApiKey(id: string): Promise<unknown>;
+
+    // Usage and billing
+    getUsageStats(): Promise<any>;
+    getUsageHistory(options?: PageOptions): Promise<ListResponse<any>>;
+    getBillingInfo(): Promise<any>;
+    getInvoices(options?: PageOptions): Promise<ListResponse<Invoice>>;
+
+    // Canvas
+    addElement(designId: string, element: CanvasElement): Promise<any>;
+    getElements(designId: string): Promise<{ elements: CanvasElement[] }>;
+    clearCanvas(designId: string): Promise<unknown>;
+    resizeCanvas(designId: string, width: number, height: number): Promise<unknown>;
+
+    // Export
+    exportDesign(designId: string, format?: string, quality?: number): Promise<ArrayBuffer>;
+    exportDesignToFile(
+        designId: string,
+        format: string,
+        quality: number,
+        outputPath: string,
+        downloadOptions?: DownloadOptions
+    ): Promise<DownloadResult>;
+}
+
+export class Canvelete extends CanveleteAPIClient {
+    constructor(options?: ClientOptions);
+}
+
+export default Canvelete;
+
+// Rate limiting
+
+/**
+ * Concurrency limiter that shrinks as the API's rate-limit budget runs low
+ * and grows back (up to `max`) once there is headroom again.
+ */
+export class AdaptiveLimiter {
+    constructor(options?: { max?: number; min?: number; onChange?: (limiter: AdaptiveLimiter) => void });
+
+    max: number;
+    min: number;
+    /** Current number of tasks allowed in flight. */
+    limit: number;
+    active: number;
+    rateLimit: RateLimit | null;
+
+    run<T>(task: () => Promise<T>): Promise<T>;
+    observe(status: number, rateLimit: RateLimit | null, retryAfter?: number | null): void;
+    describe(): string;
+}
+
+export function parseRateLimit(headers: Headers): RateLimit | null;
+
+// Webhooks
+
+/** Build a `Canvelete-Signature` header value for a callback body. */
+export function signWebhookPayload(secret: string, body: string, timestamp?: number): string;
+/**
+ * Verify a `Canvelete-Signature` header against the raw body.
+ * Returns null when valid, otherwise the reason it was rejected.
+ */
+export function verifyWebhookSignature(secret: string, body: string, header: string | undefined, tolerance?: number): string | null;
+
+// Errors
+
+export const EXIT_CODES: {
+    GENERAL: 1;
+    AUTH: 3;
+    PERMISSION: 4;
+    NOT_FOUND: 5;
+    VALIDATION: 6;
+    RATE_LIMIT: 7;
+    SERVER: 8;
+    NETWORK: 9;
+    CANCELLED: 130;
+};
+
+export interface ErrorDetails {
+    type: string;
+    code: string;
+    message: string;
+    exitCode: number;
+    status?: number;
+    requestId?: string | null;
+    details?: unknown;
+    retryAfter?: number | null;
+    idempotencyKey?: string;
+}
+
+export class CanveleteError extends Error {
+    code: string;
+    exitCode: number;
+    /** Key of the failed create/render call, to retry it without duplicating. */
+    idempotencyKey?: string;
+    toJSON(): ErrorDetails;
+}
+
+export class APIError extends CanveleteError {
+    status: number;
+    requestId: string | null;
+    body: unknown;
+}
+
+export class AuthenticationError extends APIError {}
+export class PermissionError extends APIError {}
+export class NotFoundError extends APIError {}
+export class ValidationError extends APIError {}
+export class RateLimitError extends APIError {
+    retryAfter: number | null;
+}
+export class ServerError extends APIError {}
+export class NetworkError extends CanveleteError {}
+export class TimeoutError extends NetworkError {}
+export class CancelledError extends CanveleteError {}
+export class CredentialStoreError extends CanveleteError {}
+export class CredentialHelperError extends CanveleteError {}
+export class BatchEntryError extends CanveleteError {
+    /** 1-based row of the entry in the batch file. */
+    row: number | null;
+    /** Line the row starts on, for CSV and NDJSON files. */
+    line: number | null;
+}
+export class UsageError extends CanveleteError {
+    /** Extra line shown under the message, e.g. the valid values. */
+    hint: string | null;
+}
+export class ProjectConfigError extends CanveleteError {
+    /** Path of the canvelete.config.json that failed to load. */
+    file: string | null;
+}
+
+export function createAPIError(status: number, message: string, options?: Record<string, unknown>): APIError;
+export function getExitCode(err: unknown): number;
@@ -0,0 +1,35 @@
+/**
+ * Canvelete SDK - programmatic access to the Canvelete API
+ *
+ * import { Canvelete } from 'canvelete-cli';
+ * const canvelete = new Canvelete({ apiKey: process.env.CANVELETE_API_KEY });
+ */
+
+import CanveleteAPIClient, { DEFAULT_BASE_URL } from './client.js';
+import { AuthenticationError } from './errors.js';
+
+export class Canvelete extends CanveleteAPIClient {
+    /**
+     * Unlike the CLI, the SDK never reads the CLI's stored credentials or
+     * settings: everything comes from these options or the environment.
+     */
+    constructor(options = {}) {
+        super({
+            ...options,
+            apiKey: options.apiKey ?? process.env.CANVELETE_API_KEY,
+            baseUrl: options.baseUrl ?? process.env.CANVELETE_BASE_URL ?? DEFAULT_BASE_URL,
+            retries: options.retries ?? 3,
+            timeout: options.timeout ?? 120,
+        });
+
+        if (!this.apiKey) {
+            throw new AuthenticationError('An API key is required. Pass { apiKey } or set CANVELETE_API_KEY.');
+        }
+    }
+}
+
+export { CanveleteAPIClient };
+export { AdaptiveLimiter, parseRateLimit } from './ratelimit.js';
+export { signWebhookPayload, verifyWebhookSignature } from './webhook.js';
+export * from './errors.js';
+export default Canvelete;
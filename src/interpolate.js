@@ -0,0 +1,84 @@
+/**
+ * `${VAR}` interpolation for project config and batch files
+ *
+ * String values may reference environment variables as `${VAR}` or
+ * `${VAR:-default}` (the default is used when VAR is unset or empty).
+ * `$${...}` is left as a literal `${...}`. Variables come from the process
+ * environment first and then from the project's .env file.
+ */
+
+import fs from 'fs';
+
+const REFERENCE = /\$\$(?=\{)|\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Parse .env text: `KEY=value` lines, optionally prefixed with `export`,
+ * with single- or double-quoted values and `#` comments
+ */
+export function parseDotEnv(text) {
+    const vars = {};
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+        if (!match) continue;
+
+        let value = match[2];
+        const quote = value[0];
+        if ((quote === '"' || quote === "'") && value.indexOf(quote, 1) > 0) {
+            value = value.substring(1, value.indexOf(quote, 1));
+            if (quote === '"') {
+                value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+            }
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        vars[match[1]] = value;
+    }
+
+    return vars;
+}
+
+export function loadDotEnv(file) {
+    try {
+        return parseDotEnv(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Replace references in every string of a parsed JSON value. Returns the
+ * new value and the references that had neither a value nor a default,
+ * each with the path (array of keys and indexes) of the string it is in.
+ * Unresolved references expand to an empty string.
+ */
+export function interpolate(value, vars) {
+    const unresolved = [];
+
+    function expand(string, path) {
+        return string.replace(REFERENCE, (match, name, fallback) => {
+            if (!name) return '$';
+
+            const resolved = Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : undefined;
+            if (resolved !== undefined && (resolved !== '' || fallback === undefined)) return resolved;
+            if (fallback !== undefined) return fallback;
+
+            unresolved.push({ name, path });
+            return '';
+        });
+    }
+
+    function walk(node, path) {
+        if (typeof node === 'string') return expand(node, path);
+        if (Array.isArray(node)) return node.map((item, index) => walk(item, [...path, index]));
+        if (node && typeof node === 'object') {
+            return Object.fromEntries(Object.entries(node).map(([key, item]) => [key, walk(item, [...path, key])]));
+        }
+        return node;
+    }
+
+    return { value: walk(value, []), unresolved };
+}
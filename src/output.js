@@ -4,6 +4,8 @@
 
 import chalk from 'chalk';
 import Table from 'cli-table3';
+import { CanveleteError, getExitCode } from './errors.js';
+import { formatRateLimit } from './ratelimit.js';
 
 export function formatJson(data) {
     return JSON.stringify(data, null, 2);
@@ -94,8 +96,11 @@ export function formatRendersTable(renders) {
     return formatTable(headers, rows);
 }
 
-export function formatUsageStats(stats) {
+export function formatUsageStats(stats, rateLimit = null) {
     const data = stats.data || stats;
+    const rateLimitLine = rateLimit
+        ? `Rate Limit:        ${formatRateLimit(rateLimit)}\n`
+        : '';
     return `
 ${chalk.bold('Usage Statistics')}
 ${'─'.repeat(40)}
@@ -104,7 +109,7 @@ Credits Remaining: ${chalk.green(data.creditsRemaining)}
 API Calls:         ${data.apiCalls} / ${data.apiCallLimit}
 Renders:           ${data.renders}
 Storage Used:      ${formatBytes(data.storageUsed)}
-`;
+${rateLimitLine}`;
 }
 
 export function formatBillingInfo(info) {
@@ -147,7 +152,7 @@ function formatDate(dateStr) {
     });
 }
 
-function formatBytes(bytes) {
+export function formatBytes(bytes) {
     if (!bytes || bytes === 0) return '0 B';
     const k = 1024;
     const sizes = ['B', 'KB', 'MB', 'GB'];
@@ -197,6 +202,104 @@ function formatInvoiceStatus(status) {
     return (colors[status] || chalk.white)(status);
 }
 
+export function formatProgress({ bytes, total }) {
+    if (!total) return formatBytes(bytes);
+    return `${formatBytes(bytes)} / ${formatBytes(total)} (${Math.round(bytes / total * 100)}%)`;
+}
+
+export function formatDuration(seconds) {
+    seconds = Math.max(0, Math.round(seconds));
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * One progress bar for a batch of items, with throughput and ETA, redrawn
+ * in place on stderr. `status()` adds live detail such as the current
+ * concurrency. Nothing is drawn when stderr is not a terminal.
+ */
+export class ProgressBar {
+    constructor(total, { label = 'Progress', status, stream = process.stderr } = {}) {
+        this.total = total;
+        this.label = label;
+        this.status = status;
+        this.stream = stream;
+        this.succeeded = 0;
+        this.failed = 0;
+        this.startedAt = Date.now();
+        this.timer = null;
+    }
+
+    get done() {
+        return this.succeeded + this.failed;
+    }
+
+    /**
+     * Items finished per second so far
+     */
+    rate() {
+        const elapsed = (Date.now() - this.startedAt) / 1000;
+        return elapsed > 0 ? this.done / elapsed : 0;
+    }
+
+    start() {
+        this.startedAt = Date.now();
+        if (this.stream.isTTY) {
+            this.timer = setInterval(() => this.render(), 250);
+            this.timer.unref();
+            this.render();
+        }
+    }
+
+    tick(ok = true) {
+        if (ok) this.succeeded++;
+        else this.failed++;
+        this.render();
+    }
+
+    render() {
+        if (!this.stream.isTTY) return;
+
+        const width = 24;
+        const filled = this.total > 0 ? Math.round(this.done / this.total * width) : width;
+        const rate = this.rate();
+        const parts = [
+            `${this.label} ${chalk.cyan('█'.repeat(filled))}${chalk.gray('░'.repeat(width - filled))} ${this.done}/${this.total}`,
+        ];
+        if (this.failed > 0) parts.push(chalk.red(`${this.failed} failed`));
+        if (this.done > 0) {
+            parts.push(`${rate.toFixed(1)}/s`);
+            parts.push(`ETA ${formatDuration((this.total - this.done) / rate)}`);
+        }
+        if (this.status) parts.push(chalk.gray(this.status()));
+
+        this.stream.write(`\r\x1b[K${parts.join('  ')}`);
+    }
+
+    /**
+     * Print a line to stdout above the bar
+     */
+    log(line) {
+        if (this.stream.isTTY) {
+            this.stream.write('\r\x1b[K');
+        }
+        console.log(line);
+        if (this.timer) {
+            this.render();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.stream.isTTY) {
+            this.stream.write('\r\x1b[K');
+        }
+    }
+}
+
 export function success(message) {
     console.log(chalk.green('✓'), message);
 }
@@ -212,3 +315,28 @@ export function warn(message) {
 export function info(message) {
     console.log(chalk.blue('ℹ'), message);
 }
+
+/**
+ * Report a failed command and exit with the code for its error type.
+ * With --json the error is written to stdout as `{ "error": { ... } }`.
+ */
+export function exitWithError(err, options = {}) {
+    if (options.json) {
+        const details = err instanceof CanveleteError
+            ? err.toJSON()
+            : { type: err.name || 'Error', code: 'error', message: err.message, exitCode: getExitCode(err) };
+        console.log(formatJson({ error: details }));
+    } else {
+        error(err.message);
+        if (err.hint) {
+            console.error(chalk.gray(err.hint.replace(/^(?=.)/gm, '  ')));
+        }
+        if (err.requestId) {
+            console.error(chalk.gray(`  Request ID: ${err.requestId}`));
+        }
+        if (err.idempotencyKey) {
+            console.error(chalk.gray(`  Idempotency key: ${err.idempotencyKey} (pass --idempotency-key to retry without duplicating)`));
+        }
+    }
+    process.exit(getExitCode(err));
+}
@@ -0,0 +1,120 @@
+/**
+ * Profile storage for Canvelete CLI
+ *
+ * A profile bundles an API key with its own base URL and defaults (format,
+ * quality, output directory). The active profile is chosen by --profile or
+ * CANVELETE_PROFILE, falling back to the one selected with `profiles use`.
+ */
+
+import Conf from 'conf';
+
+export const DEFAULT_PROFILE = 'default';
+
+// Settings a profile can carry besides its API key
+export const PROFILE_SETTINGS = ['baseUrl', 'defaultFormat', 'defaultQuality', 'outputDir', 'credentialHelper'];
+
+// Older versions of `profiles add` wrote this into every profile whether or
+// not --base-url was given. It is the website, not the API, so it is dropped
+// when the store is opened and those profiles fall back to the global setting.
+const LEGACY_BASE_URL = 'https://www.canvelete.com';
+
+let store = null;
+
+function getProfileStore() {
+    if (!store) {
+        store = new Conf({
+            projectName: 'canvelete-cli',
+            configName: 'profiles',
+            schema: {
+                profiles: {
+                    type: 'object',
+                    default: {}
+                },
+                activeProfile: {
+                    type: 'string',
+                    default: DEFAULT_PROFILE
+                }
+            }
+        });
+        migrateLegacyBaseUrl(store);
+    }
+    return store;
+}
+
+function migrateLegacyBaseUrl(profileStore) {
+    const profiles = profileStore.get('profiles') || {};
+    let migrated = false;
+    for (const profile of Object.values(profiles)) {
+        if (profile?.baseUrl?.replace(/\/+$/, '') === LEGACY_BASE_URL) {
+            delete profile.baseUrl;
+            migrated = true;
+        }
+    }
+    if (migrated) profileStore.set('profiles', profiles);
+}
+
+export function getProfiles() {
+    return getProfileStore().get('profiles') || {};
+}
+
+export function setProfiles(profiles) {
+    getProfileStore().set('profiles', profiles);
+}
+
+export function getProfile(name) {
+    return getProfiles()[name] || null;
+}
+
+/**
+ * Create or update a profile, merging `values` into what is stored
+ */
+export function saveProfile(name, values) {
+    const profiles = getProfiles();
+    profiles[name] = {
+        createdAt: new Date().toISOString(),
+        ...profiles[name],
+        ...values,
+    };
+    setProfiles(profiles);
+    return profiles[name];
+}
+
+export function removeProfile(name) {
+    const profiles = getProfiles();
+    delete profiles[name];
+    setProfiles(profiles);
+
+    if (getProfileStore().get('activeProfile') === name) {
+        getProfileStore().set('activeProfile', DEFAULT_PROFILE);
+        return true;
+    }
+    return false;
+}
+
+export function getActiveProfileName() {
+    return process.env.CANVELETE_PROFILE || getProfileStore().get('activeProfile');
+}
+
+export function setActiveProfileName(name) {
+    getProfileStore().set('activeProfile', name);
+}
+
+/**
+ * The active profile, or null when running on the global configuration
+ */
+export function getActiveProfile() {
+    return getProfile(getActiveProfileName());
+}
+
+/**
+ * Whether credentials should be written to a profile rather than the
+ * global configuration: true once a non-default profile is selected, or
+ * the default profile has been created explicitly
+ */
+export function usesProfile(name = getActiveProfileName()) {
+    return name !== DEFAULT_PROFILE || Boolean(getProfile(name));
+}
+
+export function getProfilesPath() {
+    return getProfileStore().path;
+}
@@ -0,0 +1,154 @@
+/**
+ * Project configuration (canvelete.config.json) for Canvelete CLI
+ *
+ * The nearest config file is found by walking up from the working directory,
+ * so commands pick it up from anywhere inside the project. Its `canvelete`
+ * section supplies render defaults and `designs` maps aliases to design IDs.
+ * `${VAR}` references in it are expanded from the environment and the .env
+ * file next to it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ProjectConfigError } from './errors.js';
+import { interpolate, loadDotEnv } from './interpolate.js';
+import { formatPath, toPointer } from './schema.js';
+
+export const PROJECT_CONFIG_FILE = 'canvelete.config.json';
+
+const cache = new Map();
+
+/**
+ * Path of the nearest canvelete.config.json at or above `cwd`, or null
+ */
+export function findProjectConfig(cwd = process.cwd()) {
+    let dir = path.resolve(cwd);
+    while (true) {
+        const configPath = path.join(dir, PROJECT_CONFIG_FILE);
+        if (fs.existsSync(configPath)) {
+            return configPath;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Variables available to `${VAR}` references: the process environment,
+ * then the .env file in the project directory (or `cwd` outside a project).
+ * The .env file is only used for interpolation and never changes the
+ * environment the CLI itself reads settings from.
+ */
+export function getProjectEnv(cwd = process.cwd()) {
+    return getConfigEnv(path.join(getProjectDir(cwd), PROJECT_CONFIG_FILE));
+}
+
+/**
+ * Variables for the config file at `configPath`, which need not be the
+ * nearest one (`validate -c`): the environment, then the .env file next to it
+ */
+export function getConfigEnv(configPath) {
+    return { ...loadDotEnv(path.join(path.dirname(path.resolve(configPath)), '.env')), ...process.env };
+}
+
+/**
+ * Directory of the nearest canvelete.config.json, or `cwd` outside a project
+ */
+export function getProjectDir(cwd = process.cwd()) {
+    const configPath = findProjectConfig(cwd);
+    return configPath ? path.dirname(configPath) : cwd;
+}
+
+/**
+ * The nearest project config with `${VAR}` references expanded, or null
+ * outside a project. Throws a ProjectConfigError naming the file if it is
+ * not valid JSON or a reference has neither a value nor a default, so a
+ * broken config is never silently replaced by the profile's settings.
+ */
+export function loadProjectConfig(cwd = process.cwd()) {
+    if (cache.has(cwd)) {
+        return cache.get(cwd);
+    }
+
+    let projectConfig = null;
+    const configPath = findProjectConfig(cwd);
+    if (configPath) {
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(configPath, 'utf8').replace(/^\uFEFF/, ''));
+        } catch (err) {
+            throw new ProjectConfigError(`Failed to read ${configPath}: ${err.message}`, { file: configPath });
+        }
+
+        const { value, unresolved } = interpolate(parsed, getProjectEnv(cwd));
+        if (unresolved.length > 0) {
+            const list = unresolved.map(({ name, path }) => `\${${name}} (${formatPath(toPointer(path))})`);
+            throw new ProjectConfigError(
+                `Unresolved variables in ${configPath}: ${list.join(', ')}. Set them or give a default with \${VAR:-value}`,
+                { file: configPath }
+            );
+        }
+        projectConfig = value;
+    }
+
+    cache.set(cwd, projectConfig);
+    return projectConfig;
+}
+
+export function getBatchSettings(cwd = process.cwd()) {
+    const projectConfig = loadProjectConfig(cwd);
+    return projectConfig?.batch || {};
+}
+
+/**
+ * Render defaults from the project's `canvelete` section. A relative
+ * outputDir is taken relative to the config file, not the working directory.
+ */
+export function getProjectDefaults(cwd = process.cwd()) {
+    const settings = loadProjectConfig(cwd)?.canvelete || {};
+    const defaults = {};
+
+    if (settings.defaultFormat) defaults.defaultFormat = settings.defaultFormat;
+    if (settings.defaultQuality !== undefined) defaults.defaultQuality = settings.defaultQuality;
+    if (settings.outputDir) {
+        defaults.outputDir = path.resolve(path.dirname(findProjectConfig(cwd)), settings.outputDir);
+    }
+    return defaults;
+}
+
+/**
+ * Resolve a design alias from the project's `designs` map. Entries are
+ * either an ID or an object with an `id`; anything else is returned as is.
+ */
+export function resolveDesignId(idOrAlias, cwd = process.cwd()) {
+    if (!idOrAlias) {
+        return idOrAlias;
+    }
+
+    const designs = loadProjectConfig(cwd)?.designs || {};
+    if (!Object.prototype.hasOwnProperty.call(designs, idOrAlias)) {
+        return idOrAlias;
+    }
+
+    const entry = designs[idOrAlias];
+    return typeof entry === 'string' ? entry : entry?.id || idOrAlias;
+}
+
+/**
+ * Read a batch or data JSON file, expanding `${VAR}` references. Throws if
+ * a reference has neither a value nor a default, rather than rendering
+ * with an empty string in its place.
+ */
+export function readDataFile(file, cwd = process.cwd()) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const { value, unresolved } = interpolate(data, getProjectEnv(cwd));
+
+    if (unresolved.length > 0) {
+        const list = unresolved.map(({ name, path }) => `\${${name}} (${formatPath(toPointer(path))})`);
+        throw new Error(`Unresolved variables: ${list.join(', ')}`);
+    }
+    return value;
+}
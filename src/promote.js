@@ -0,0 +1,263 @@
+/**
+ * Design promotion between accounts for Canvelete CLI
+ *
+ * `designs promote` copies a design from one profile's account to
+ * another's. The mapping file remembers which target design and assets
+ * each source design and asset became, so promoting again updates the same
+ * design and reuses assets that have not changed.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NotFoundError } from './errors.js';
+import { createIdempotencyKey } from './idempotency.js';
+
+export const PROMOTION_MAP_FILE = 'canvelete.promote.json';
+
+// Fields copied to the target design
+export const PROMOTED_FIELDS = ['name', 'description', 'width', 'height'];
+
+export class PromotionMap {
+    constructor(file) {
+        this.file = file;
+        this.data = { version: 1, promotions: {} };
+
+        if (fs.existsSync(file)) {
+            try {
+                this.data = JSON.parse(fs.readFileSync(file, 'utf8'));
+                this.data.promotions = this.data.promotions || {};
+            } catch {}
+        }
+    }
+
+    /**
+     * Design and asset mappings for one source/target profile pair
+     */
+    forPair(from, to) {
+        const key = `${from}->${to}`;
+        if (!this.data.promotions[key]) {
+            this.data.promotions[key] = { designs: {}, assets: {} };
+        }
+        return this.data.promotions[key];
+    }
+
+    save() {
+        const tempPath = `${this.file}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.file);
+    }
+}
+
+/**
+ * IDs of the assets referenced anywhere in canvas data (`assetId` fields,
+ * including inside groups)
+ */
+export function collectAssetIds(canvasData) {
+    const ids = new Set();
+
+    (function walk(node) {
+        if (Array.isArray(node)) {
+            node.forEach(walk);
+        } else if (node && typeof node === 'object') {
+            if (typeof node.assetId === 'string') ids.add(node.assetId);
+            Object.values(node).forEach(walk);
+        }
+    })(canvasData);
+
+    return [...ids];
+}
+
+/**
+ * Copy of canvas data with asset references swapped for the target's.
+ * `resolve(sourceAsset)` returns `{ id, url }` on the target; `sources`
+ * maps source asset IDs to their metadata so `src` URLs are swapped too.
+ */
+export function rewriteAssets(canvasData, sources, resolve) {
+    function walk(node) {
+        if (Array.isArray(node)) return node.map(walk);
+        if (!node || typeof node !== 'object') return node;
+
+        const copy = Object.fromEntries(Object.entries(node).map(([key, value]) => [key, walk(value)]));
+        const source = typeof node.assetId === 'string' ? sources[node.assetId] : null;
+        if (source) {
+            const target = resolve(source);
+            copy.assetId = target.id;
+            if (node.src && node.src === source.url) copy.src = target.url;
+        }
+        return copy;
+    }
+
+    return walk(canvasData);
+}
+
+/**
+ * Whether a source asset needs uploading again: never promoted, or changed
+ * since it was
+ */
+export function assetChanged(asset, entry) {
+    if (!entry) return true;
+    if (asset.checksum && entry.sourceChecksum) return asset.checksum !== entry.sourceChecksum;
+    return Boolean(asset.updatedAt) && asset.updatedAt !== entry.sourceUpdatedAt;
+}
+
+/**
+ * Changes that applying `desired` would make to `current` (null when the
+ * design is new): changed fields, and canvas elements added, removed or
+ * changed, matched by element ID (or position without one)
+ */
+export function diffDesigns(current, desired) {
+    const fields = [];
+    for (const field of PROMOTED_FIELDS) {
+        const before = current?.[field];
+        const after = desired[field];
+        if (after !== undefined && JSON.stringify(before) !== JSON.stringify(after)) {
+            fields.push({ field, before, after });
+        }
+    }
+
+    const elementsBefore = indexElements(current?.canvasData?.elements);
+    const elementsAfter = indexElements(desired.canvasData?.elements);
+    const elements = [];
+
+    for (const [key, after] of elementsAfter) {
+        const before = elementsBefore.get(key);
+        if (!before) {
+            elements.push({ change: 'added', id: key, type: after.type });
+        } else {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            const changed = [...keys].filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+            if (changed.length > 0) {
+                elements.push({ change: 'changed', id: key, type: after.type, properties: changed });
+            }
+        }
+    }
+    for (const [key, before] of elementsBefore) {
+        if (!elementsAfter.has(key)) {
+            elements.push({ change: 'removed', id: key, type: before.type });
+        }
+    }
+
+    // Canvas settings other than the element list (background etc.)
+    const canvasBefore = withoutElements(current?.canvasData);
+    const canvasAfter = withoutElements(desired.canvasData);
+    const canvas = [...new Set([...Object.keys(canvasBefore), ...Object.keys(canvasAfter)])]
+        .filter(key => JSON.stringify(canvasBefore[key]) !== JSON.stringify(canvasAfter[key]));
+
+    return { fields, elements, canvas };
+}
+
+function withoutElements(canvasData) {
+    const settings = { ...canvasData };
+    delete settings.elements;
+    return settings;
+}
+
+function indexElements(elements) {
+    return new Map((elements || []).map((element, index) => [String(element.id ?? `#${index}`), element]));
+}
+
+export function hasChanges(diff) {
+    return diff.fields.length > 0 || diff.elements.length > 0 || diff.canvas.length > 0;
+}
+
+/**
+ * Work out what promoting `sourceId` would change, without writing to
+ * the target. Assets that still need uploading get placeholder IDs.
+ */
+export async function planPromotion(source, target, sourceId, pair) {
+    const design = unwrap(await source.getDesign(sourceId));
+
+    const sources = {};
+    for (const assetId of collectAssetIds(design.canvasData)) {
+        sources[assetId] = { id: assetId, ...unwrap(await source.getAsset(assetId)) };
+    }
+    const assets = Object.values(sources).map(asset => ({
+        asset,
+        upload: assetChanged(asset, pair.assets[asset.id]),
+    }));
+
+    // A mapped design that was deleted on the target is created again
+    let current = null;
+    const mapped = pair.designs[sourceId];
+    if (mapped?.id) {
+        try {
+            current = unwrap(await target.getDesign(mapped.id));
+        } catch (err) {
+            if (!(err instanceof NotFoundError)) throw err;
+        }
+    }
+
+    const uploads = new Set(assets.filter(({ upload }) => upload).map(({ asset }) => asset.id));
+    const desired = buildDesign(design, sources, (asset) => uploads.has(asset.id)
+        ? { id: `(new) ${asset.name || asset.id}`, url: `(new) ${asset.name || asset.id}` }
+        : pair.assets[asset.id]);
+
+    return { sourceId, design, sources, assets, current, diff: diffDesigns(current, desired) };
+}
+
+/**
+ * Upload the plan's assets to the target and create or update the design
+ * there, recording each step in the mapping file as it completes
+ */
+export async function applyPromotion(source, target, plan, pair, mapping, onProgress = () => {}) {
+    const uploads = plan.assets.filter(({ upload }) => upload);
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-promote-'));
+
+    try {
+        for (const [index, { asset }] of uploads.entries()) {
+            onProgress(`Copying assets (${index + 1}/${uploads.length})...`);
+
+            const tempPath = path.join(tempDir, String(index));
+            await source.downloadAsset(asset, tempPath);
+            const uploaded = unwrap(await target.uploadAsset(tempPath, { name: asset.name, type: asset.type }));
+
+            // Saved per asset so a failed promotion does not upload it again
+            pair.assets[asset.id] = {
+                id: uploaded.id,
+                url: uploaded.url,
+                sourceChecksum: asset.checksum,
+                sourceUpdatedAt: asset.updatedAt,
+            };
+            mapping.save();
+        }
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    onProgress(plan.current ? 'Updating design...' : 'Creating design...');
+    const data = buildDesign(plan.design, plan.sources, asset => pair.assets[asset.id]);
+    let result;
+    if (plan.current) {
+        result = unwrap(await target.updateDesign(plan.current.id, data));
+    } else {
+        // Saved before the request, so a promotion interrupted after the
+        // API created the design sends the same key and gets that design
+        // back instead of creating another
+        const idempotencyKey = pair.designs[plan.sourceId]?.idempotencyKey || createIdempotencyKey();
+        pair.designs[plan.sourceId] = { ...pair.designs[plan.sourceId], idempotencyKey };
+        mapping.save();
+        result = unwrap(await target.createDesign(data, { idempotencyKey }));
+    }
+
+    const targetId = result.id || plan.current?.id;
+    pair.designs[plan.sourceId] = {
+        id: targetId,
+        promotedAt: new Date().toISOString(),
+    };
+    mapping.save();
+    return { id: targetId };
+}
+
+function buildDesign(design, sources, resolveAsset) {
+    const data = {};
+    for (const field of PROMOTED_FIELDS) {
+        if (design[field] !== undefined) data[field] = design[field];
+    }
+    data.canvasData = rewriteAssets(design.canvasData || {}, sources, resolveAsset);
+    return data;
+}
+
+function unwrap(result) {
+    return result?.data || result;
+}
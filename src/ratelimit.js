@@ -0,0 +1,163 @@
+/**
+ * Rate-limit tracking and adaptive concurrency for Canvelete CLI
+ *
+ * The client reads the API's rate-limit headers on every response and feeds
+ * them to an AdaptiveLimiter, which bulk commands use to decide how many
+ * requests to keep in flight: it backs off as the remaining budget runs low
+ * (or on a 429) and ramps back up once there is headroom again.
+ */
+
+const LOW_BUDGET = 0.1;
+const HEALTHY_BUDGET = 0.5;
+const DECREASE_INTERVAL = 1000;
+
+/**
+ * Parse `X-RateLimit-*` or IETF `RateLimit-*` response headers. Returns
+ * null when the response carries no rate-limit information.
+ */
+export function parseRateLimit(headers) {
+    const read = (name) => {
+        const value = headers.get(`x-ratelimit-${name}`) ?? headers.get(`ratelimit-${name}`);
+        const number = parseInt(value);
+        return isNaN(number) ? null : number;
+    };
+
+    const limit = read('limit');
+    const remaining = read('remaining');
+    if (limit === null && remaining === null) {
+        return null;
+    }
+
+    // Reset is either seconds until the window resets or a Unix timestamp
+    const reset = read('reset');
+    let resetAt = null;
+    if (reset !== null) {
+        resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+    }
+
+    return { limit, remaining, resetAt };
+}
+
+export function formatRateLimit(rateLimit) {
+    if (!rateLimit) return null;
+
+    let text = rateLimit.limit !== null
+        ? `${rateLimit.remaining ?? '?'}/${rateLimit.limit} requests left`
+        : `${rateLimit.remaining} requests left`;
+    if (rateLimit.resetAt) {
+        const seconds = Math.max(0, Math.ceil((rateLimit.resetAt - Date.now()) / 1000));
+        text += `, resets in ${seconds}s`;
+    }
+    return text;
+}
+
+/**
+ * Concurrency limiter whose limit moves between 1 and `max` based on the
+ * rate-limit budget reported by the API (additive increase, multiplicative
+ * decrease). When the budget is exhausted, new work waits for the reset.
+ */
+export class AdaptiveLimiter {
+    constructor({ max = 3, min = 1, onChange } = {}) {
+        this.max = Math.max(min, max);
+        this.min = min;
+        this.limit = this.max;
+        this.active = 0;
+        this.rateLimit = null;
+        this.pausedUntil = 0;
+        this.lastDecrease = 0;
+        this.queue = [];
+        this.timer = null;
+        this.onChange = onChange || null;
+    }
+
+    /**
+     * Run `task` once a slot is free
+     */
+    async run(task) {
+        await new Promise(resolve => {
+            this.queue.push(resolve);
+            this.drain();
+        });
+
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            this.drain();
+        }
+    }
+
+    /**
+     * Record the outcome of a response: its status and parsed rate-limit headers
+     */
+    observe(status, rateLimit, retryAfter) {
+        const previous = this.limit;
+
+        if (rateLimit) {
+            this.rateLimit = rateLimit;
+        }
+
+        if (status === 429) {
+            this.decrease(true);
+            const until = retryAfter ? Date.now() + retryAfter * 1000 : rateLimit?.resetAt;
+            if (until) this.pausedUntil = Math.max(this.pausedUntil, until);
+        } else if (rateLimit?.remaining !== null && rateLimit?.remaining !== undefined) {
+            const ratio = rateLimit.limit ? rateLimit.remaining / rateLimit.limit : null;
+
+            if (rateLimit.remaining === 0 && rateLimit.resetAt) {
+                this.decrease(true);
+                this.pausedUntil = Math.max(this.pausedUntil, rateLimit.resetAt);
+            } else if (rateLimit.remaining <= this.active || (ratio !== null && ratio < LOW_BUDGET)) {
+                this.decrease(false);
+            } else if (ratio === null || ratio >= HEALTHY_BUDGET) {
+                this.increase();
+            }
+        } else if (status < 400) {
+            this.increase();
+        }
+
+        if (this.limit !== previous && this.onChange) {
+            this.onChange(this);
+        }
+        this.drain();
+    }
+
+    increase() {
+        this.limit = Math.min(this.max, this.limit + 1);
+    }
+
+    decrease(force) {
+        // Responses to requests already in flight report the same pressure;
+        // only halve once per interval unless the budget is gone
+        const now = Date.now();
+        if (!force && now - this.lastDecrease < DECREASE_INTERVAL) return;
+        this.lastDecrease = now;
+        this.limit = Math.max(this.min, Math.floor(this.limit / 2));
+    }
+
+    drain() {
+        const wait = this.pausedUntil - Date.now();
+        if (wait > 0) {
+            if (!this.timer && this.queue.length > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.drain();
+                }, wait);
+            }
+            return;
+        }
+
+        while (this.queue.length > 0 && this.active < this.limit) {
+            this.active++;
+            this.queue.shift()();
+        }
+    }
+
+    describe() {
+        const parts = [`concurrency ${this.limit}/${this.max}`];
+        const budget = formatRateLimit(this.rateLimit);
+        if (budget) parts.push(budget);
+        if (this.pausedUntil > Date.now()) parts.push('paused');
+        return parts.join(', ');
+    }
+}
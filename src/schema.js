@@ -0,0 +1,335 @@
+/**
+ * JSON Schema validation for canvelete.config.json and batch files
+ *
+ * The schemas ship in the package's schemas/ directory. Problems are
+ * reported with a readable path (`canvelete.defaultQuality`, `[2].format`)
+ * and the line and column of the offending key or value in the source, so
+ * `validate` can print them for people and emit JSON or SARIF for tools.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { interpolate } from './interpolate.js';
+
+export const SCHEMAS = {
+    config: 'canvelete.config.schema.json',
+    batch: 'batch.schema.json',
+};
+
+const validators = {};
+
+export function getSchemaPath(kind) {
+    return fileURLToPath(new URL(`../schemas/${SCHEMAS[kind]}`, import.meta.url));
+}
+
+export function loadSchema(kind) {
+    return JSON.parse(fs.readFileSync(getSchemaPath(kind), 'utf8'));
+}
+
+function getValidator(kind) {
+    if (!validators[kind]) {
+        const ajv = new Ajv({ allErrors: true, verbose: true });
+        validators[kind] = ajv.compile(loadSchema(kind));
+    }
+    return validators[kind];
+}
+
+/**
+ * Validate JSON source text against one of the shipped schemas, after
+ * expanding `${VAR}` references from `vars`. Returns `{ value, problems }`,
+ * where value is undefined if the text is not JSON. Each problem has
+ * `{ rule, message, path, pointer, line, column }`; references without a
+ * value are reported as `unresolved-variable`.
+ */
+export function validateJson(kind, text, vars = {}) {
+    text = text.replace(/^\uFEFF/, '');
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (err) {
+        const location = findSyntaxError(text);
+        return {
+            value: undefined,
+            problems: [{
+                rule: 'json-syntax',
+                message: `Invalid JSON: ${location.message || err.message}`,
+                path: '',
+                pointer: '',
+                line: location.line,
+                column: location.column,
+            }],
+        };
+    }
+
+    const expanded = interpolate(value, vars);
+    value = expanded.value;
+
+    // Without a kind only the JSON syntax and variables are checked
+    const validate = kind ? getValidator(kind) : () => true;
+    if (validate(value) && expanded.unresolved.length === 0) {
+        return { value, problems: [] };
+    }
+
+    const { values, keys } = scanLocations(text);
+    const unresolved = expanded.unresolved.map(({ name, path }) => {
+        const pointer = toPointer(path);
+        const location = values.get(pointer);
+        return {
+            rule: 'unresolved-variable',
+            message: `unresolved variable \${${name}}`,
+            path: formatPath(pointer),
+            pointer,
+            line: location?.line ?? 1,
+            column: location?.column ?? 1,
+        };
+    });
+
+    const problems = unresolved.concat(simplifyErrors(validate.errors || []).map((err) => {
+        // Unknown keys point at the key itself, everything else at the value
+        let pointer = err.instancePath;
+        let location = values.get(pointer);
+        let message = err.message;
+
+        if (err.keyword === 'additionalProperties') {
+            pointer = `${pointer}/${escapePointer(err.params.additionalProperty)}`;
+            location = keys.get(pointer);
+            message = `unknown key "${err.params.additionalProperty}"`;
+        } else if (err.keyword === 'enum') {
+            message = `must be one of: ${err.params.allowedValues.join(', ')}`;
+        }
+
+        return {
+            rule: err.keyword,
+            message,
+            path: formatPath(pointer),
+            pointer,
+            line: location?.line ?? 1,
+            column: location?.column ?? 1,
+        };
+    }));
+
+    problems.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { value, problems };
+}
+
+/**
+ * Replace Ajv's anyOf/oneOf output, which repeats every branch's errors,
+ * with either the errors of the one branch whose type matches the data or a
+ * single summary
+ */
+function simplifyErrors(errors) {
+    let result = errors;
+
+    for (const err of errors) {
+        if (err.keyword !== 'anyOf' && err.keyword !== 'oneOf') continue;
+        if (!result.includes(err)) continue;
+
+        const prefix = `${err.schemaPath}/`;
+        const within = other => other.schemaPath.startsWith(prefix)
+            && (other.instancePath === err.instancePath || other.instancePath.startsWith(`${err.instancePath}/`));
+        const branches = err.parentSchema[err.keyword];
+        const matching = branches
+            .map((branch, index) => ({ branch, index }))
+            .filter(({ branch }) => branch.type && typeMatches(branch.type, err.data));
+
+        if (matching.length === 1) {
+            const keep = `${prefix}${matching[0].index}/`;
+            result = result.filter(other => other !== err
+                && (!within(other) || other.schemaPath.startsWith(keep)));
+            continue;
+        }
+
+        result = result.filter(other => !within(other));
+        if (branches.every(branch => branch.required && !branch.type)) {
+            err.message = `must have ${branches.map(branch => branch.required.join(' and ')).join(' or ')}`;
+        } else {
+            err.message = `must be ${branches.map(branch => describeType(branch.type)).join(' or ')}`;
+        }
+    }
+
+    return result;
+}
+
+function typeMatches(type, data) {
+    const actual = Array.isArray(data) ? 'array' : data === null ? 'null' : typeof data;
+    return type === actual || (type === 'integer' && actual === 'number');
+}
+
+function describeType(type) {
+    return type === 'object' || type === 'array' || type === 'integer' ? `an ${type}` : `a ${type}`;
+}
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Path as an array of keys and indexes to a JSON pointer
+ */
+export function toPointer(path) {
+    return path.map(segment => `/${escapePointer(segment)}`).join('');
+}
+
+function unescapePointer(segment) {
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * JSON pointer to a readable path: /items/0/name -> items[0].name
+ */
+export function formatPath(pointer) {
+    if (!pointer) return '(root)';
+
+    return pointer.split('/').slice(1).map(unescapePointer).reduce((result, segment) => {
+        if (/^\d+$/.test(segment)) return `${result}[${segment}]`;
+        if (/^[A-Za-z_$][\w$]*$/.test(segment)) return result ? `${result}.${segment}` : segment;
+        return `${result}[${JSON.stringify(segment)}]`;
+    }, '');
+}
+
+function findSyntaxError(text) {
+    try {
+        scanLocations(text);
+    } catch (err) {
+        if (err.line) return err;
+    }
+    return { line: 1, column: 1 };
+}
+
+const LITERAL = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+/**
+ * Walk JSON text recording where each value (by JSON pointer) and each
+ * object key starts. Throws a SyntaxError carrying line and column on
+ * malformed input.
+ */
+function scanLocations(text) {
+    const values = new Map();
+    const keys = new Map();
+    let pos = 0;
+    let line = 1;
+    let column = 1;
+
+    function advance(count = 1) {
+        for (let i = 0; i < count; i++) {
+            if (text[pos] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            pos++;
+        }
+    }
+
+    function fail(message) {
+        const err = new SyntaxError(`${message} at line ${line}, column ${column}`);
+        err.line = line;
+        err.column = column;
+        throw err;
+    }
+
+    function skipWhitespace() {
+        while (pos < text.length && ' \t\r\n'.includes(text[pos])) advance();
+    }
+
+    function expect(char) {
+        skipWhitespace();
+        if (text[pos] !== char) fail(pos < text.length ? `Expected '${char}'` : 'Unexpected end of input');
+        advance();
+    }
+
+    function readString() {
+        const start = pos;
+        advance();
+        while (pos < text.length && text[pos] !== '"') {
+            if (text[pos] === '\n') fail('Unterminated string');
+            advance(text[pos] === '\\' ? 2 : 1);
+        }
+        if (pos >= text.length) fail('Unterminated string');
+        advance();
+        return JSON.parse(text.slice(start, pos));
+    }
+
+    function readValue(pointer) {
+        skipWhitespace();
+        values.set(pointer, { line, column });
+        const char = text[pos];
+
+        if (char === '{') {
+            advance();
+            skipWhitespace();
+            if (text[pos] === '}') return advance();
+            for (;;) {
+                skipWhitespace();
+                if (text[pos] !== '"') fail('Expected a property name');
+                const location = { line, column };
+                const child = `${pointer}/${escapePointer(readString())}`;
+                keys.set(child, location);
+                expect(':');
+                readValue(child);
+                skipWhitespace();
+                if (text[pos] === '}') return advance();
+                expect(',');
+            }
+        }
+
+        if (char === '[') {
+            advance();
+            skipWhitespace();
+            if (text[pos] === ']') return advance();
+            for (let index = 0; ; index++) {
+                readValue(`${pointer}/${index}`);
+                skipWhitespace();
+                if (text[pos] === ']') return advance();
+                expect(',');
+            }
+        }
+
+        if (char === '"') return readString();
+
+        LITERAL.lastIndex = pos;
+        const match = LITERAL.exec(text);
+        if (!match) fail(pos < text.length ? `Unexpected token '${char}'` : 'Unexpected end of input');
+        advance(match[0].length);
+    }
+
+    readValue('');
+    skipWhitespace();
+    if (pos < text.length) fail('Unexpected data after JSON');
+    return { values, keys };
+}
+
+/**
+ * SARIF 2.1.0 log for the problems found in each file, for code scanning
+ * and editor integrations
+ */
+export function toSarif(results) {
+    const rules = [...new Set(results.flatMap(result => result.problems.map(problem => problem.rule)))];
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'canvelete validate',
+                    informationUri: 'https://docs.canvelete.com/cli',
+                    rules: rules.map(id => ({ id })),
+                },
+            },
+            results: results.flatMap(result => result.problems.map(problem => ({
+                ruleId: problem.rule,
+                level: 'error',
+                message: { text: problem.pointer ? `${problem.path}: ${problem.message}` : problem.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: result.file },
+                        region: { startLine: problem.line, startColumn: problem.column },
+                    },
+                }],
+            }))),
+        }],
+    };
+}
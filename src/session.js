@@ -0,0 +1,84 @@
+/**
+ * Process-wide cancellation for Canvelete CLI
+ *
+ * Every API request is tied to the session signal, so Ctrl+C or the overall
+ * --max-time limit aborts whatever is in flight and removes partial outputs.
+ */
+
+import fs from 'fs';
+import chalk from 'chalk';
+import { CancelledError, TimeoutError, EXIT_CODES } from './errors.js';
+
+const controller = new AbortController();
+const partialFiles = new Set();
+const interruptHandlers = [];
+
+export function getSessionSignal() {
+    return controller.signal;
+}
+
+export function abortSession(reason) {
+    if (!controller.signal.aborted) {
+        controller.abort(reason);
+    }
+}
+
+/**
+ * Register a file that should be deleted if the session is aborted before
+ * it is complete. Returns a function to call once the file is finished.
+ */
+export function trackPartialFile(filePath) {
+    partialFiles.add(filePath);
+    return () => partialFiles.delete(filePath);
+}
+
+export function cleanupPartialFiles() {
+    for (const filePath of partialFiles) {
+        try {
+            fs.rmSync(filePath, { force: true });
+        } catch {}
+    }
+    partialFiles.clear();
+}
+
+export function onInterrupt(handler) {
+    interruptHandlers.push(handler);
+}
+
+export function installSignalHandlers() {
+    process.once('SIGINT', () => {
+        abortSession(new CancelledError());
+        cleanupPartialFiles();
+
+        if (interruptHandlers.length > 0) {
+            interruptHandlers.forEach(handler => handler());
+        } else {
+            console.error(chalk.gray('\nCancelled.'));
+        }
+        process.exit(EXIT_CODES.CANCELLED);
+    });
+}
+
+// How long a command has to report the abort itself before the process is
+// ended for it
+const TIMEOUT_GRACE_MS = 1000;
+
+/**
+ * Abort the session after `seconds`. Commands that would otherwise keep
+ * running (watch, watch-dir, renders listen) are then ended with the
+ * timeout's exit code.
+ */
+export function startSessionTimer(seconds) {
+    if (!seconds) return;
+
+    setTimeout(() => {
+        const reason = new TimeoutError(`Command timed out after ${seconds}s`);
+        abortSession(reason);
+        cleanupPartialFiles();
+
+        setTimeout(() => {
+            console.error(chalk.red(`\n✗ ${reason.message}`));
+            process.exit(reason.exitCode);
+        }, TIMEOUT_GRACE_MS).unref();
+    }, seconds * 1000).unref();
+}
@@ -0,0 +1,223 @@
+/**
+ * HTTP tracing for Canvelete CLI (--debug and --har)
+ */
+
+import fs from 'fs';
+import chalk from 'chalk';
+
+const MAX_LOGGED_BODY = 1000;
+// Response bodies larger than this are not traced: reading them whole would
+// buffer a large download in memory, and a partial JSON body can't be redacted
+const MAX_TRACED_BODY = 64 * 1024;
+const SECRET_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const SECRET_FIELDS = /^(key|apiKey|api_key|token|secret|password)$/i;
+
+const harEntries = [];
+let harFile = null;
+
+export function isTracing() {
+    return Boolean(process.env.CANVELETE_DEBUG) || Boolean(harFile);
+}
+
+/**
+ * Write a HAR file of every request made during this process when it exits
+ */
+export function enableHar(file) {
+    harFile = file;
+    process.on('exit', () => {
+        const har = {
+            log: {
+                version: '1.2',
+                creator: { name: 'canvelete-cli', version: '2.0.0' },
+                entries: harEntries,
+            }
+        };
+        try {
+            fs.writeFileSync(harFile, JSON.stringify(har, null, 2));
+        } catch (err) {
+            console.error(chalk.yellow(`⚠ Could not write HAR file: ${err.message}`));
+        }
+    });
+}
+
+export function redactHeaders(headers) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (!SECRET_HEADERS.includes(name.toLowerCase())) {
+            redacted[name] = value;
+        } else if (/^Bearer /i.test(value)) {
+            redacted[name] = `Bearer ${maskSecret(value.slice(7))}`;
+        } else {
+            redacted[name] = '[REDACTED]';
+        }
+    }
+    return redacted;
+}
+
+export function redactBody(text) {
+    if (!text) return text;
+    try {
+        return JSON.stringify(redactValue(JSON.parse(text)));
+    } catch {
+        return text;
+    }
+}
+
+function redactValue(value) {
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, inner] of Object.entries(value)) {
+            result[key] = SECRET_FIELDS.test(key) && typeof inner === 'string'
+                ? maskSecret(inner)
+                : redactValue(inner);
+        }
+        return result;
+    }
+    return value;
+}
+
+function maskSecret(secret) {
+    return secret.length > 12 ? `${secret.substring(0, 8)}…[REDACTED]` : '[REDACTED]';
+}
+
+/**
+ * Log and record one request/response exchange. `response` is left unread;
+ * textual bodies up to MAX_TRACED_BODY are read from a clone, anything
+ * else is only measured.
+ */
+export async function traceExchange({ method, url, headers, body, response, error, startedAt }) {
+    const time = Date.now() - startedAt.getTime();
+    const requestHeaders = redactHeaders(headers);
+    const requestBody = redactBody(body);
+
+    let responseHeaders = {};
+    let responseBody = null;
+    let mimeType = '';
+
+    if (response) {
+        responseHeaders = redactHeaders(Object.fromEntries(response.headers));
+        mimeType = response.headers.get('content-type') || '';
+        if (isTextual(mimeType) && !(parseInt(response.headers.get('content-length')) > MAX_TRACED_BODY)) {
+            try {
+                const text = await readLimited(response.clone(), MAX_TRACED_BODY);
+                responseBody = text === null ? null : redactBody(text);
+            } catch {}
+        }
+    }
+
+    if (process.env.CANVELETE_DEBUG) {
+        logExchange({ method, url, requestHeaders, requestBody, response, responseHeaders, responseBody, error, time });
+    }
+
+    if (harFile) {
+        harEntries.push(toHarEntry({
+            method, url, requestHeaders, requestBody, response, responseHeaders, responseBody, mimeType, startedAt, time
+        }));
+    }
+}
+
+/**
+ * Body text, or null once it grows past `limit` bytes (the rest is not read)
+ */
+async function readLimited(response, limit) {
+    if (!response.body) return '';
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > limit) {
+            // Not awaited: a cancelled tee branch only settles once the
+            // caller's branch is done too
+            reader.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(value);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function logExchange({ method, url, requestHeaders, requestBody, response, responseHeaders, responseBody, error, time }) {
+    const log = (line) => console.error(chalk.gray(line));
+    const parsed = new URL(url);
+
+    console.error(chalk.cyan(`\n→ ${method} ${parsed.origin}${parsed.pathname}`));
+    if (parsed.search) {
+        log(`  params: ${JSON.stringify(Object.fromEntries(parsed.searchParams))}`);
+    }
+    Object.entries(requestHeaders).forEach(([name, value]) => log(`  ${name}: ${value}`));
+    if (requestBody) {
+        log(`  body: ${truncate(requestBody)}`);
+    }
+
+    if (error) {
+        console.error(chalk.red(`← ${error.message} (${time}ms)`));
+        return;
+    }
+
+    const color = response.ok ? chalk.green : chalk.red;
+    console.error(color(`← ${response.status} ${response.statusText} (${time}ms)`));
+    Object.entries(responseHeaders).forEach(([name, value]) => log(`  ${name}: ${value}`));
+    if (responseBody) {
+        log(`  body: ${truncate(responseBody)}`);
+    } else if (response.headers.get('content-length')) {
+        log(`  body: <${response.headers.get('content-length')} bytes>`);
+    }
+}
+
+function toHarEntry({ method, url, requestHeaders, requestBody, response, responseHeaders, responseBody, mimeType, startedAt, time }) {
+    const parsed = new URL(url);
+    const toPairs = (headers) => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+    const size = parseInt(response?.headers.get('content-length')) || (responseBody ? responseBody.length : -1);
+
+    const entry = {
+        startedDateTime: startedAt.toISOString(),
+        time,
+        request: {
+            method,
+            url,
+            httpVersion: 'HTTP/1.1',
+            headers: toPairs(requestHeaders),
+            queryString: [...parsed.searchParams].map(([name, value]) => ({ name, value })),
+            cookies: [],
+            headersSize: -1,
+            bodySize: requestBody ? requestBody.length : 0,
+        },
+        response: {
+            status: response?.status || 0,
+            statusText: response?.statusText || '',
+            httpVersion: 'HTTP/1.1',
+            headers: toPairs(responseHeaders),
+            cookies: [],
+            content: { size, mimeType },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: size,
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+    };
+
+    if (requestBody) {
+        entry.request.postData = { mimeType: requestHeaders['Content-Type'] || '', text: requestBody };
+    }
+    if (responseBody !== null) {
+        entry.response.content.text = responseBody;
+    }
+
+    return entry;
+}
+
+export function isTextual(mimeType) {
+    return /json|text|xml|html/i.test(mimeType || '');
+}
+
+function truncate(text) {
+    return text.length > MAX_LOGGED_BODY
+        ? `${text.substring(0, MAX_LOGGED_BODY)}… (${text.length} chars)`
+        : text;
+}
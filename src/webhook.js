@@ -0,0 +1,133 @@
+/**
+ * Render-completion webhooks for Canvelete CLI
+ *
+ * Callbacks carry a `Canvelete-Signature: t=<unix seconds>,v1=<hex>` header,
+ * where v1 is the HMAC-SHA256 of `<t>.<raw body>` keyed with the webhook
+ * secret. The timestamp is checked against a tolerance to reject replays.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'canvelete-signature';
+const DEFAULT_TOLERANCE = 300;
+const MAX_BODY = 1024 * 1024;
+
+// Job IDs and formats end up in output file names
+const JOB_ID = /^[A-Za-z0-9_-]{1,128}$/;
+const FORMAT = /^[A-Za-z0-9]{1,10}$/;
+
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header against the raw request body. Returns null when
+ * valid, otherwise the reason it was rejected.
+ */
+export function verifyWebhookSignature(secret, body, header, tolerance = DEFAULT_TOLERANCE) {
+    if (!header) return 'missing signature';
+
+    const parts = {};
+    for (const part of header.split(',')) {
+        const [key, value] = part.trim().split('=');
+        if (key === 'v1') {
+            (parts.v1 = parts.v1 || []).push(value);
+        } else {
+            parts[key] = value;
+        }
+    }
+
+    const timestamp = parseInt(parts.t);
+    if (isNaN(timestamp) || !parts.v1) return 'malformed signature';
+    if (tolerance > 0 && Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+        return 'timestamp outside tolerance';
+    }
+
+    const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+    const matched = parts.v1.some(candidate => {
+        const actual = Buffer.from(candidate || '', 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    });
+    return matched ? null : 'signature mismatch';
+}
+
+/**
+ * HTTP server that accepts signed render callbacks. Verified callbacks are
+ * normalised with getRenderJob, acknowledged with 204 straight away and the
+ * job passed to `onEvent`; `onReject(reason, req)` is called for requests
+ * that fail verification or do not describe a valid job (401 or 400).
+ */
+export function createWebhookServer({ secret, tolerance, onEvent, onReject }) {
+    const reject = (res, status, reason, req) => {
+        res.writeHead(status).end();
+        if (onReject) onReject(reason, req);
+    };
+
+    return http.createServer((req, res) => {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { Allow: 'POST' }).end();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                res.writeHead(413).end();
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const reason = verifyWebhookSignature(secret, body, req.headers[SIGNATURE_HEADER], tolerance);
+            if (reason) {
+                reject(res, 401, reason, req);
+                return;
+            }
+
+            let job;
+            try {
+                job = getRenderJob(JSON.parse(body));
+            } catch (err) {
+                reject(res, 400, err instanceof SyntaxError ? 'invalid JSON' : err.message, req);
+                return;
+            }
+
+            res.writeHead(204).end();
+            onEvent(job);
+        });
+    });
+}
+
+/**
+ * Normalise a callback payload (`{ event, data: job }` or a bare job) to
+ * the render job it describes. Throws if it has no usable job ID or format,
+ * since both are used to name the downloaded file.
+ */
+export function getRenderJob(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        throw new Error('payload is not an object');
+    }
+
+    const job = event.data && typeof event.data === 'object' ? event.data : event;
+    const id = job.id || job.jobId;
+    if (typeof id !== 'string' || !JOB_ID.test(id)) {
+        throw new Error('missing or invalid job id');
+    }
+    if (job.format !== undefined && (typeof job.format !== 'string' || !FORMAT.test(job.format))) {
+        throw new Error('invalid format');
+    }
+
+    return {
+        ...job,
+        id,
+        status: job.status || (event.event === 'render.failed' ? 'failed' : 'completed'),
+    };
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { parseCsv, coerce, resolveColumns, readBatchEntries, detectBatchFormat } from '../src/batch.js';
+
+async function records(chunks) {
+    const result = [];
+    for await (const record of parseCsv(chunks)) {
+        result.push(record);
+    }
+    return result;
+}
+
+describe('parseCsv', () => {
+    it('splits records and fields', async () => {
+        expect(await records(['a,b\n1,2\n'])).toEqual([
+            { fields: ['a', 'b'], line: 1 },
+            { fields: ['1', '2'], line: 2 },
+        ]);
+    });
+
+    it('handles quoted commas, escaped quotes and newlines inside quotes', async () => {
+        const result = await records(['name,note\n"Smith, Jane","say ""hi""\nagain"\nBob,x']);
+        expect(result).toEqual([
+            { fields: ['name', 'note'], line: 1 },
+            { fields: ['Smith, Jane', 'say "hi"\nagain'], line: 2 },
+            { fields: ['Bob', 'x'], line: 4 },
+        ]);
+    });
+
+    it('handles CRLF line endings, a BOM and chunks split mid-field', async () => {
+        const result = await records(['\uFEFFa,"b', '""c"\r', '\n1,2\r\n']);
+        expect(result).toEqual([
+            { fields: ['a', 'b"c'], line: 1 },
+            { fields: ['1', '2'], line: 2 },
+        ]);
+    });
+
+    it('throws on an unterminated quoted field', async () => {
+        await expect(records(['a\n"open'])).rejects.toThrow('Unterminated quoted field starting on line 2');
+    });
+});
+
+describe('coerce', () => {
+    it('types values automatically without mangling identifiers', () => {
+        expect(coerce('42', 'auto')).toBe(42);
+        expect(coerce('-1.5', 'auto')).toBe(-1.5);
+        expect(coerce('true', 'auto')).toBe(true);
+        expect(coerce('02134', 'auto')).toBe('02134');
+        expect(coerce('12345678901234567890', 'auto')).toBe('12345678901234567890');
+        expect(coerce('Jane', 'auto')).toBe('Jane');
+    });
+
+    it('converts explicit types and rejects bad values', () => {
+        expect(coerce('7', 'integer')).toBe(7);
+        expect(coerce('no', 'boolean')).toBe(false);
+        expect(coerce('{"a":1}', 'json')).toEqual({ a: 1 });
+        expect(coerce('007', 'string')).toBe('007');
+        expect(() => coerce('1.5', 'integer')).toThrow('is not an integer');
+        expect(() => coerce('abc', 'number')).toThrow('is not a number');
+        expect(() => coerce('maybe', 'boolean')).toThrow('is not a boolean');
+    });
+});
+
+describe('resolveColumns', () => {
+    it('maps entry fields directly and everything else under data', () => {
+        const columns = resolveColumns(['designId', 'quality', 'name', 'address.city'], null);
+        expect(columns.map(column => column.path)).toEqual([
+            ['designId'], ['quality'], ['data', 'name'], ['data', 'address', 'city'],
+        ]);
+        expect(columns[1].type).toBe('integer');
+        expect(columns[2].type).toBe('auto');
+    });
+
+    it('applies a column map', () => {
+        const columns = resolveColumns(['Full Name', 'Zip', 'Notes'], {
+            'Full Name': 'data.name',
+            Zip: { path: 'data.zip', type: 'string' },
+            Notes: null,
+        });
+        expect(columns[0].path).toEqual(['data', 'name']);
+        expect(columns[1]).toMatchObject({ path: ['data', 'zip'], type: 'string' });
+        expect(columns[2].path).toBe(null);
+    });
+
+    it('rejects duplicate columns, unknown map columns and targets outside data', () => {
+        expect(() => resolveColumns(['a', 'a'], null)).toThrow('Duplicate column "a"');
+        expect(() => resolveColumns(['a'], { b: 'data.b' })).toThrow('not in the CSV header: b');
+        expect(() => resolveColumns(['a'], { a: 'other.a' })).toThrow('neither an entry field nor under data');
+        expect(() => resolveColumns(['a'], { a: { path: 'data.a', type: 'date' } })).toThrow('unknown type "date"');
+    });
+
+    it('rejects paths that would reach Object.prototype', () => {
+        expect(() => resolveColumns(['data.__proto__.polluted'], null)).toThrow('reserved name');
+        expect(() => resolveColumns(['constructor.prototype.x'], null)).toThrow('reserved name');
+        expect(() => resolveColumns(['a'], { a: 'data.__proto__.polluted' })).toThrow('reserved name');
+    });
+});
+
+describe('readBatchEntries', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-batch-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function read(name, content, options = {}) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        const result = [];
+        for await (const item of readBatchEntries(file, { cwd: dir, ...options })) {
+            result.push(item);
+        }
+        return result;
+    }
+
+    it('builds entries from CSV rows and reports bad rows with their line', async () => {
+        const items = await read('b.csv', 'designId,name,quality\nd1,Jane,80\n\nd1,Bob,high\n,NoDesign,\n');
+
+        expect(items[0]).toMatchObject({ row: 1, line: 2, entry: { designId: 'd1', quality: 80, data: { name: 'Jane' } } });
+        expect(items[1]).toMatchObject({ row: 2, line: 4 });
+        expect(items[1].error.message).toContain('quality: "high" is not an integer');
+        expect(items[2].error.message).toBe('Entry must have designId or templateId');
+        expect(items[2].error.line).toBe(5);
+    });
+
+    it('fails the file instead of writing to Object.prototype', async () => {
+        await expect(read('p.csv', 'designId,data.__proto__.polluted\nd1,yes\n')).rejects.toThrow('reserved name');
+        expect(({}).polluted).toBeUndefined();
+    });
+
+    it('reads NDJSON and slices rows', async () => {
+        const items = await read('b.ndjson', '{"designId":"a"}\n\n{"designId":"b"}\n{broken\n{"designId":"d"}\n', {
+            fromRow: 2,
+            toRow: 3,
+        });
+
+        expect(items).toHaveLength(2);
+        expect(items[0]).toMatchObject({ row: 2, line: 3, entry: { designId: 'b' } });
+        expect(items[1].error.message).toContain('Invalid JSON');
+        expect(items[1].line).toBe(4);
+    });
+
+    it('picks the format from the extension unless one is given', () => {
+        expect(detectBatchFormat('rows.CSV')).toBe('csv');
+        expect(detectBatchFormat('rows.jsonl')).toBe('ndjson');
+        expect(detectBatchFormat('rows.txt', 'csv')).toBe('csv');
+        expect(() => detectBatchFormat('rows.txt', 'xml')).toThrow('Unknown batch file format');
+    });
+});
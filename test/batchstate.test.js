@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { BatchState, BATCH_STATE_FILE } from '../src/batchstate.js';
+import { hashEntry } from '../src/idempotency.js';
+import { NetworkError, ValidationError } from '../src/errors.js';
+
+describe('BatchState', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-state-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeOutput(name, content) {
+        const outputPath = path.join(dir, name);
+        fs.writeFileSync(outputPath, content);
+        return { outputPath, checksum: 'abc', bytes: Buffer.byteLength(content) };
+    }
+
+    it('hashes entries regardless of key order', () => {
+        expect(hashEntry({ designId: 'd', data: { a: 1, b: 2 } })).toBe(hashEntry({ data: { b: 2, a: 1 }, designId: 'd' }));
+        expect(hashEntry({ designId: 'd' })).not.toBe(hashEntry({ designId: 'e' }));
+    });
+
+    it('skips entries whose output is still there on resume', () => {
+        const state = new BatchState(dir);
+        state.start('done', 1);
+        state.complete('done', writeOutput('1.png', 'image'));
+        state.start('gone', 2);
+        state.complete('gone', writeOutput('2.png', 'image'));
+        state.start('failed', 3);
+        state.fail('failed', Object.assign(new Error('boom'), { code: 'server_error', exitCode: 8 }));
+        fs.rmSync(path.join(dir, '2.png'));
+
+        const resumed = new BatchState(dir);
+        expect(resumed.isDone('done')).toBe(true);
+        expect(resumed.isDone('gone')).toBe(false);
+        expect(resumed.isDone('failed')).toBe(false);
+        expect(resumed.get('done').output).toBe('1.png');
+    });
+
+    it('treats an output with a different size as not done', () => {
+        const state = new BatchState(dir);
+        state.start('a', 1);
+        state.complete('a', writeOutput('a.png', 'image'));
+        fs.writeFileSync(path.join(dir, 'a.png'), 'cut');
+
+        expect(new BatchState(dir).isDone('a')).toBe(false);
+    });
+
+    it('keeps failures, and the key of one the API never answered, for --retry-failed', () => {
+        const state = new BatchState(dir);
+        const key = state.start('a', 1);
+        state.fail('a', new Error('timeout'));
+        state.start('b', 2);
+        state.complete('b', { jobId: 'job_1' });
+
+        const retried = new BatchState(dir);
+        expect(retried.isFailed('a')).toBe(true);
+        expect(retried.isFailed('b')).toBe(false);
+        expect(retried.isDone('b')).toBe(true);
+        expect(retried.get('a').error).toEqual({ message: 'timeout', code: null, exitCode: null });
+        expect(retried.start('a', 1)).toBe(key);
+        expect(retried.isFailed('a')).toBe(false);
+    });
+
+    it('gives an entry the API rejected a new key on retry', () => {
+        const state = new BatchState(dir);
+        const rejectedKey = state.start('rejected', 1);
+        state.fail('rejected', new ValidationError('Invalid dynamic data', { status: 422 }));
+        const unreachedKey = state.start('unreached', 2);
+        state.fail('unreached', new NetworkError('socket hang up'));
+
+        const retried = new BatchState(dir);
+        expect(retried.get('rejected')).toMatchObject({ status: 'failed', idempotencyKey: null, error: { code: 'invalid_request' } });
+        expect(retried.start('rejected', 1)).not.toBe(rejectedKey);
+        expect(retried.start('unreached', 2)).toBe(unreachedKey);
+    });
+
+    it('reuses the key of an interrupted entry and drops it once done', () => {
+        const key = new BatchState(dir).start('a', 1);
+
+        const resumed = new BatchState(dir);
+        expect(resumed.start('a', 1)).toBe(key);
+        resumed.complete('a', writeOutput('a.png', 'image'));
+        expect(resumed.get('a').idempotencyKey).toBe(null);
+        expect(resumed.start('a', 1)).not.toBe(key);
+    });
+
+    it('ignores a truncated last line and compacts to one record per entry', () => {
+        const state = new BatchState(dir);
+        state.start('a', 1);
+        state.complete('a', writeOutput('a.png', 'image'));
+        state.start('b', 2);
+        fs.appendFileSync(state.file, '{"hash":"c","sta');
+
+        const reloaded = new BatchState(dir);
+        expect(reloaded.isDone('a')).toBe(true);
+        expect(reloaded.get('c')).toBe(null);
+
+        reloaded.compact();
+        const lines = fs.readFileSync(path.join(dir, BATCH_STATE_FILE), 'utf8').trim().split('\n');
+        expect(lines.map(line => JSON.parse(line).hash)).toEqual(['a', 'b']);
+    });
+});
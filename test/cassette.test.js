@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRecordFetch, createReplayFetch } from '../src/cassette.js';
+import { createClient } from '../src/api.js';
+
+describe('cassettes', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-cassette-'));
+    });
+
+    afterEach(() => {
+        delete process.env.CANVELETE_REPLAY;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('numbers recordings from several clients in one sequence', async () => {
+        const serve = name => async () => Response.json({ name });
+        const source = createRecordFetch(dir, serve('source'));
+        const target = createRecordFetch(dir, serve('target'));
+
+        await source('https://api.test/designs/a');
+        await target('https://api.test/designs/a');
+        await source('https://api.test/designs/b');
+
+        expect(fs.readdirSync(dir).sort()).toEqual([
+            '0001-GET-designs-a.json',
+            '0002-GET-designs-a.json',
+            '0003-GET-designs-b.json',
+        ]);
+
+        const first = createReplayFetch(dir);
+        const second = createReplayFetch(dir);
+        expect(await (await first('https://api.test/designs/a')).json()).toEqual({ name: 'source' });
+        expect(await (await second('https://api.test/designs/a')).json()).toEqual({ name: 'target' });
+        await expect(first('https://api.test/designs/a')).rejects.toMatchObject({ code: 'ECASSETTE' });
+    });
+
+    it('redacts secret fields in recorded bodies and still replays them', async () => {
+        const secret = 'cvl_live_0123456789abcdef';
+        const record = createRecordFetch(dir, async () => Response.json({ id: 'key-1', key: secret }));
+        const init = { method: 'POST', body: JSON.stringify({ name: 'ci', password: 'hunter2-hunter2' }) };
+
+        await record('https://api.test/apikeys', init);
+
+        const saved = fs.readFileSync(path.join(dir, '0001-POST-apikeys.json'), 'utf8');
+        expect(saved).not.toContain(secret);
+        expect(saved).not.toContain('hunter2-hunter2');
+        expect(JSON.parse(JSON.parse(saved).response.body)).toEqual({ id: 'key-1', key: 'cvl_live…[REDACTED]' });
+
+        const replay = createReplayFetch(dir);
+        expect(await (await replay('https://api.test/apikeys', init)).json()).toMatchObject({ id: 'key-1' });
+    });
+
+    it('does not retry a replay miss', async () => {
+        process.env.CANVELETE_REPLAY = dir;
+        const client = createClient({ apiKey: 'k', baseUrl: 'https://api.test', retries: 3, retryDelay: 60000 });
+
+        await expect(client.request('GET', '/designs/missing')).rejects.toThrow('No recorded response for GET /designs/missing');
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import CanveleteAPIClient from '../src/client.js';
+import { CancelledError, EXIT_CODES, NetworkError, RateLimitError, ServerError, TimeoutError } from '../src/errors.js';
+
+function mockFetch(...responses) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, init });
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        if (next instanceof Error) throw next;
+        return next(url, init);
+    };
+    return { fetch, calls };
+}
+
+function client(fetch, options = {}) {
+    return new CanveleteAPIClient({ apiKey: 'k', baseUrl: 'https://api.test', retries: 2, retryDelay: 1, fetch, ...options });
+}
+
+// Responses are created per call, since a body can only be read once
+const ok = () => () => Response.json({ ok: true });
+const status = (code, headers = {}) => () => Response.json({ error: `status ${code}` }, { status: code, headers });
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('client retries', () => {
+    it('retries idempotent requests on retryable statuses and network errors', async () => {
+        const { fetch, calls } = mockFetch(status(503), new TypeError('fetch failed'), ok());
+
+        expect(await client(fetch).request('GET', '/designs')).toEqual({ ok: true });
+        expect(calls).toHaveLength(3);
+        expect(calls[0].init.headers.Authorization).toBe('Bearer k');
+    });
+
+    it('gives up after the configured retries with a typed error', async () => {
+        const { fetch, calls } = mockFetch(status(502));
+
+        await expect(client(fetch).request('GET', '/designs')).rejects.toMatchObject({
+            constructor: ServerError,
+            status: 502,
+            message: 'status 502',
+        });
+        expect(calls).toHaveLength(3);
+    });
+
+    it('does not repeat a POST unless it has an idempotency key', async () => {
+        const plain = mockFetch(status(503), ok());
+        await expect(client(plain.fetch).request('POST', '/render', { json: {} })).rejects.toBeInstanceOf(ServerError);
+        expect(plain.calls).toHaveLength(1);
+
+        const keyed = mockFetch(status(503), ok());
+        await client(keyed.fetch).request('POST', '/render', { json: {}, idempotencyKey: 'key-1' });
+        expect(keyed.calls).toHaveLength(2);
+        expect(keyed.calls[1].init.headers['Idempotency-Key']).toBe('key-1');
+    });
+
+    it('retries a 429 for any method', async () => {
+        const { fetch, calls } = mockFetch(status(429), ok());
+        await client(fetch).request('POST', '/render', { json: {} });
+        expect(calls).toHaveLength(2);
+    });
+
+    it('reports the idempotency key of a request that finally failed', async () => {
+        const { fetch } = mockFetch(new TypeError('fetch failed'));
+        await expect(client(fetch, { retries: 0 }).request('POST', '/render', { idempotencyKey: 'key-2' }))
+            .rejects.toMatchObject({ constructor: NetworkError, idempotencyKey: 'key-2' });
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        vi.useFakeTimers();
+        const { fetch, calls } = mockFetch(status(429, { 'retry-after': '2' }), ok());
+        const result = client(fetch).request('GET', '/designs');
+
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(calls).toHaveLength(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(await result).toEqual({ ok: true });
+        expect(calls).toHaveLength(2);
+    });
+
+    it('fails with the retry hint once retries run out', async () => {
+        const { fetch } = mockFetch(status(429, { 'retry-after': '7' }));
+        await expect(client(fetch, { retries: 0 }).request('GET', '/designs'))
+            .rejects.toMatchObject({ constructor: RateLimitError, retryAfter: 7 });
+    });
+
+    it('reads Retry-After dates and caps long waits', () => {
+        vi.useFakeTimers({ now: new Date('2030-01-01T00:00:00Z') });
+        const api = client(null);
+        const after = value => new Response(null, { status: 503, headers: { 'retry-after': value } });
+
+        expect(api.getRetryDelay(0, after('Tue, 01 Jan 2030 00:00:05 GMT'))).toBe(5000);
+        expect(api.getRetryDelay(0, after('3600'))).toBe(30000);
+        expect(api.getRetryDelay(3)).toBeLessThanOrEqual(8);
+    });
+});
+
+describe('client timeouts and cancellation', () => {
+    // Resolves like a real fetch would: only when the request is aborted
+    const hang = () => (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+    });
+
+    it('times out each attempt and retries idempotent requests', async () => {
+        vi.useFakeTimers();
+        const { fetch, calls } = mockFetch(hang(), ok());
+        const result = client(fetch, { timeout: 5 }).request('GET', '/designs');
+
+        await vi.advanceTimersByTimeAsync(5000);
+        await vi.advanceTimersByTimeAsync(10);
+        expect(await result).toEqual({ ok: true });
+        expect(calls).toHaveLength(2);
+    });
+
+    it('fails with a TimeoutError and the network exit code', async () => {
+        vi.useFakeTimers();
+        const { fetch } = mockFetch(hang());
+        const result = client(fetch, { timeout: 1, retries: 0 }).request('POST', '/render');
+        const assertion = expect(result).rejects.toMatchObject({
+            constructor: TimeoutError,
+            message: 'Request timed out after 1s',
+            exitCode: EXIT_CODES.NETWORK,
+        });
+
+        await vi.advanceTimersByTimeAsync(1000);
+        await assertion;
+    });
+
+    it('stops without retrying when the client signal aborts', async () => {
+        const controller = new AbortController();
+        const { fetch, calls } = mockFetch(hang());
+        const result = client(fetch, { signal: controller.signal, retries: 5 }).request('GET', '/designs');
+
+        controller.abort(new CancelledError());
+        await expect(result).rejects.toBeInstanceOf(CancelledError);
+        expect(calls).toHaveLength(1);
+    });
+});
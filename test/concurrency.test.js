@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { runWithConcurrency, runStreaming } from '../src/concurrency.js';
+import { AdaptiveLimiter } from '../src/ratelimit.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runWithConcurrency', () => {
+    it('returns results in input order with errors in place', async () => {
+        const results = await runWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+            await delay(ms);
+            if (index === 1) throw new Error('boom');
+            return ms;
+        });
+        expect(results[0]).toBe(30);
+        expect(results[1]).toBeInstanceOf(Error);
+        expect(results[2]).toBe(20);
+    });
+});
+
+describe('runStreaming', () => {
+    it('reports results in input order as soon as they are ready', async () => {
+        const reported = [];
+        const count = await runStreaming([30, 5, 10, 1], 4, async (ms) => {
+            await delay(ms);
+            return ms;
+        }, (result, item, index) => reported.push([index, result]));
+
+        expect(count).toBe(4);
+        expect(reported).toEqual([[0, 30], [1, 5], [2, 10], [3, 1]]);
+    });
+
+    it('pulls input only as slots and the window allow', async () => {
+        let pulled = 0;
+        let running = 0;
+        let peak = 0;
+        let peakHeld = 0;
+        let reported = 0;
+        async function* source() {
+            for (let i = 0; i < 50; i++) {
+                pulled++;
+                peakHeld = Math.max(peakHeld, pulled - reported);
+                yield i;
+            }
+        }
+
+        await runStreaming(source(), 3, async (i) => {
+            peak = Math.max(peak, ++running);
+            // The first item is slow, so finished items pile up behind it
+            await delay(i === 0 ? 40 : 1);
+            running--;
+        }, () => reported++, { window: 6 });
+
+        expect(reported).toBe(50);
+        expect(peak).toBe(3);
+        expect(peakHeld).toBeLessThanOrEqual(6);
+    });
+
+    it('turns rejections into error results', async () => {
+        const reported = [];
+        await runStreaming(['a', 'b'], 1, async (item) => {
+            if (item === 'a') throw new Error('bad a');
+            return item;
+        }, result => reported.push(result instanceof Error ? result.message : result));
+
+        expect(reported).toEqual(['bad a', 'b']);
+    });
+
+    it('finishes and reports started items before rethrowing a read error', async () => {
+        const reported = [];
+        async function* source() {
+            yield 1;
+            yield 2;
+            throw new Error('read failed');
+        }
+
+        await expect(runStreaming(source(), 2, async (n) => {
+            await delay(10);
+            return n * 10;
+        }, result => reported.push(result))).rejects.toThrow('read failed');
+        expect(reported).toEqual([10, 20]);
+    });
+
+    it('runs through an AdaptiveLimiter', async () => {
+        const limiter = new AdaptiveLimiter({ max: 2 });
+        let running = 0;
+        let peak = 0;
+        const reported = [];
+
+        await runStreaming([1, 2, 3, 4, 5], limiter, async (n) => {
+            peak = Math.max(peak, ++running);
+            await delay(2);
+            running--;
+            return n;
+        }, result => reported.push(result));
+
+        expect(reported).toEqual([1, 2, 3, 4, 5]);
+        expect(peak).toBeLessThanOrEqual(2);
+    });
+});
@@ -0,0 +1,206 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// A credential helper that answers `get` with a key naming the profile it
+// was asked for, and logs each call. The "broken" profile fails and the
+// "empty" profile gets no key.
+const HELPER = `
+const fs = require('fs');
+const fields = Object.fromEntries(fs.readFileSync(0, 'utf8').split('\\n').filter(Boolean).map(line => line.split('=')));
+fs.appendFileSync(process.env.HELPER_LOG, process.argv[3] + ' ' + fields.profile + '\\n');
+if (fields.profile === 'broken') {
+    console.error('vault is sealed');
+    process.exit(2);
+}
+if (process.argv[3] === 'get' && fields.profile !== 'empty') {
+    console.log('apiKey=' + process.argv[2] + '-' + fields.profile);
+}
+`;
+
+describe('configuration', () => {
+    let dir;
+    let config;
+    let profiles;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-config-'));
+        fs.writeFileSync(path.join(dir, 'helper.cjs'), HELPER);
+        vi.stubEnv('XDG_CONFIG_HOME', dir);
+        vi.stubEnv('HELPER_LOG', path.join(dir, 'helper.log'));
+        for (const name of ['CANVELETE_API_KEY', 'CANVELETE_PROFILE', 'CANVELETE_BASE_URL', 'CANVELETE_RETRIES', 'CANVELETE_TIMEOUT']) {
+            vi.stubEnv(name, '');
+        }
+        vi.resetModules();
+        config = await import('../src/config.js');
+        profiles = await import('../src/profiles.js');
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllEnvs();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // `node helper.cjs <tag>`, run with the action appended: the tag tells
+    // helpers apart
+    function helper(tag) {
+        return `node ${JSON.stringify(path.join(dir, 'helper.cjs'))} ${tag}`;
+    }
+
+    function helperCalls() {
+        const log = path.join(dir, 'helper.log');
+        return fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n') : [];
+    }
+
+    describe('resolveSetting', () => {
+        it('reports a setting nobody set as the default', () => {
+            expect(config.resolveSetting('defaultFormat')).toEqual({ value: 'png', origin: 'default' });
+            expect(config.resolveSetting('apiKey')).toEqual({ value: '', origin: 'default' });
+        });
+
+        it('reports a value set in the user config, even when it equals the default', () => {
+            config.setConfig('defaultFormat', 'png');
+            config.setConfig('defaultQuality', 75);
+
+            const origin = `user config (${config.getConfigPath()})`;
+            expect(config.resolveSetting('defaultFormat')).toEqual({ value: 'png', origin });
+            expect(config.resolveSetting('defaultQuality')).toEqual({ value: 75, origin });
+            expect(config.resolveSetting('outputDir')).toEqual({ value: '.', origin: 'default' });
+        });
+
+        it('layers profile over user config and project config over the profile', () => {
+            const project = path.join(dir, 'project');
+            fs.mkdirSync(project);
+            fs.writeFileSync(path.join(project, 'canvelete.config.json'), '{"canvelete": {"defaultFormat": "pdf"}}');
+
+            config.setConfig('defaultFormat', 'jpg');
+            config.setConfig('defaultQuality', 60);
+            profiles.saveProfile('staging', { defaultFormat: 'svg', defaultQuality: 70 });
+            vi.stubEnv('CANVELETE_PROFILE', 'staging');
+
+            const profileOrigin = `profile "staging" (${profiles.getProfilesPath()})`;
+            expect(config.resolveSetting('defaultFormat')).toEqual({ value: 'svg', origin: profileOrigin });
+            expect(config.resolveSetting('defaultQuality')).toEqual({ value: 70, origin: profileOrigin });
+
+            vi.spyOn(process, 'cwd').mockReturnValue(project);
+            expect(config.resolveSetting('defaultFormat')).toEqual({
+                value: 'pdf',
+                origin: `project config (${path.join(project, 'canvelete.config.json')})`,
+            });
+            expect(config.resolveSetting('defaultQuality').value).toBe(70);
+        });
+
+        it('layers the environment over the project and flags over everything', () => {
+            config.setConfig('retryAttempts', 5);
+            expect(config.resolveSetting('retryAttempts', { project: 4 }).origin).toMatch(/^project config/);
+
+            vi.stubEnv('CANVELETE_RETRIES', '2');
+            expect(config.resolveSetting('retryAttempts', { project: 4 })).toEqual({ value: 2, origin: 'env CANVELETE_RETRIES' });
+
+            config.setFlagValue('retryAttempts', '7');
+            expect(config.resolveSetting('retryAttempts', { project: 4 })).toEqual({ value: 7, origin: 'flag --retries' });
+        });
+
+        it('layers baseUrl from the user config, profile and environment', () => {
+            config.setConfig('baseUrl', 'https://user.test');
+            expect(config.getBaseUrl()).toBe('https://user.test');
+
+            profiles.saveProfile('staging', { baseUrl: 'https://staging.test' });
+            vi.stubEnv('CANVELETE_PROFILE', 'staging');
+            expect(config.getBaseUrl()).toBe('https://staging.test');
+
+            vi.stubEnv('CANVELETE_BASE_URL', 'https://env.test');
+            expect(config.resolveSetting('baseUrl')).toEqual({ value: 'https://env.test', origin: 'env CANVELETE_BASE_URL' });
+        });
+
+        it('drops the website URL older versions wrote into every profile', async () => {
+            fs.writeFileSync(profiles.getProfilesPath(), JSON.stringify({
+                activeProfile: 'old',
+                profiles: {
+                    old: { apiKey: 'k', baseUrl: 'https://www.canvelete.com' },
+                    custom: { baseUrl: 'https://staging.test' },
+                },
+            }));
+            vi.resetModules();
+            config = await import('../src/config.js');
+            profiles = await import('../src/profiles.js');
+
+            expect(config.resolveSetting('baseUrl')).toEqual({ value: 'https://api.canvelete.com', origin: 'default' });
+            expect(profiles.getProfile('old')).toEqual({ apiKey: 'k' });
+            expect(profiles.getProfile('custom')).toEqual({ baseUrl: 'https://staging.test' });
+            expect(JSON.parse(fs.readFileSync(profiles.getProfilesPath(), 'utf8')).profiles.old).toEqual({ apiKey: 'k' });
+        });
+
+        it('keeps defaults out of the config file', () => {
+            config.setConfig('timeout', 30);
+
+            expect(JSON.parse(fs.readFileSync(config.getConfigPath(), 'utf8'))).toEqual({ timeout: 30 });
+            expect(config.getAllConfig()).toMatchObject({ timeout: 30, defaultFormat: 'png', baseUrl: 'https://api.canvelete.com' });
+        });
+    });
+
+    describe('credential helper', () => {
+        it('is asked once per process for the global key', () => {
+            config.setConfig('credentialHelper', helper('global'));
+
+            expect(config.resolveSetting('apiKey')).toEqual({
+                value: 'global-default',
+                origin: `credential helper (${helper('global')})`,
+            });
+            expect(config.getApiKey()).toBe('global-default');
+            expect(helperCalls()).toEqual(['get default']);
+        });
+
+        it('loses to CANVELETE_API_KEY without being run', () => {
+            config.setConfig('credentialHelper', helper('global'));
+            vi.stubEnv('CANVELETE_API_KEY', 'sk_env');
+
+            expect(config.resolveSetting('apiKey')).toEqual({ value: 'sk_env', origin: 'env CANVELETE_API_KEY' });
+            expect(helperCalls()).toEqual([]);
+        });
+
+        it("wins over a profile's stored key, and a profile's own helper wins over the global one", () => {
+            config.setConfig('credentialHelper', helper('global'));
+            profiles.saveProfile('staging', { apiKey: 'sk_plaintext' });
+            profiles.saveProfile('prod', { credentialHelper: helper('prod') });
+
+            vi.stubEnv('CANVELETE_PROFILE', 'staging');
+            expect(config.getApiKey()).toBe('global-staging');
+
+            vi.stubEnv('CANVELETE_PROFILE', 'prod');
+            expect(config.resolveSetting('apiKey')).toEqual({
+                value: 'prod-prod',
+                origin: `credential helper (${helper('prod')})`,
+            });
+        });
+
+        it('fails with the helper\'s stderr when it exits non-zero', () => {
+            profiles.saveProfile('broken', { credentialHelper: helper('broken') });
+            vi.stubEnv('CANVELETE_PROFILE', 'broken');
+
+            expect(() => config.getApiKey()).toThrow(/failed to get: vault is sealed/);
+        });
+
+        it('gives no key when the helper prints none, without falling back', async () => {
+            profiles.saveProfile('empty', { apiKey: 'sk_plaintext', credentialHelper: helper('empty') });
+            vi.stubEnv('CANVELETE_PROFILE', 'empty');
+
+            expect(config.getApiKey()).toBe('');
+            expect(await config.loadApiKey()).toBe('');
+            expect(helperCalls()).toEqual(['get empty']);
+        });
+
+        it('stores and erases keys through the helper', async () => {
+            config.setConfig('credentialHelper', helper('global'));
+
+            await config.setApiKey('sk_new');
+            expect(config.getApiKey()).toBe('sk_new');
+            await config.clearApiKey();
+
+            expect(helperCalls()).toEqual(['store default', 'erase default']);
+            expect(config.getConfig('apiKey')).toBe('');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// The stores are module-level singletons under the user's config
+// directory, so every test gets its own directory and fresh modules
+describe('credential store', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-credentials-'));
+        vi.stubEnv('XDG_CONFIG_HOME', dir);
+        vi.stubEnv('CANVELETE_PASSPHRASE', 'correct horse');
+        vi.stubEnv('CANVELETE_API_KEY', '');
+        vi.stubEnv('CANVELETE_PROFILE', '');
+        vi.resetModules();
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const load = () => import('../src/credentials.js');
+
+    async function createStore(entries) {
+        const credentials = await load();
+        await credentials.unlockCredentials({ create: true });
+        for (const [name, value] of Object.entries(entries)) {
+            credentials.setCredential(name, value);
+        }
+        vi.resetModules();
+        return credentials.getCredentialsPath();
+    }
+
+    it('round-trips keys through the encrypted file', async () => {
+        const file = await createStore({ global: 'sk_live_secret', 'profile:staging': 'sk_test_other' });
+
+        const text = fs.readFileSync(file, 'utf8');
+        expect(text).not.toContain('sk_live_secret');
+        expect(JSON.parse(text)).toMatchObject({ version: 1, kdf: { name: 'scrypt' }, names: ['global', 'profile:staging'] });
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+        const credentials = await load();
+        expect(credentials.hasCredential('global')).toBe(true);
+        expect(credentials.getCredential('global')).toBeUndefined();
+
+        await credentials.unlockCredentials();
+        expect(credentials.getCredential('global')).toBe('sk_live_secret');
+        expect(credentials.getCredential('profile:staging')).toBe('sk_test_other');
+    });
+
+    it('rejects a wrong passphrase', async () => {
+        await createStore({ global: 'sk_live_secret' });
+        vi.stubEnv('CANVELETE_PASSPHRASE', 'wrong');
+
+        const credentials = await load();
+        await expect(credentials.unlockCredentials()).rejects.toThrow('Wrong passphrase');
+        expect(credentials.isUnlocked()).toBe(false);
+        expect(() => credentials.setCredential('global', 'x')).toThrow('must be unlocked first');
+    });
+
+    it('rejects a tampered ciphertext or tag', async () => {
+        const file = await createStore({ global: 'sk_live_secret' });
+        const original = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        const data = Buffer.from(original.data, 'base64');
+        data[0] ^= 1;
+        fs.writeFileSync(file, JSON.stringify({ ...original, data: data.toString('base64') }));
+        await expect((await load()).unlockCredentials()).rejects.toThrow('Wrong passphrase');
+
+        vi.resetModules();
+        const tag = Buffer.from(original.tag, 'base64');
+        tag[0] ^= 1;
+        fs.writeFileSync(file, JSON.stringify({ ...original, tag: tag.toString('base64') }));
+        await expect((await load()).unlockCredentials()).rejects.toThrow('Wrong passphrase');
+    });
+
+    it('reports an unreadable store', async () => {
+        const file = await createStore({ global: 'sk_live_secret' });
+        fs.writeFileSync(file, '{ not json');
+
+        const credentials = await load();
+        expect(() => credentials.listCredentialNames()).toThrow(`Cannot read credential store ${file}`);
+    });
+});
+
+describe('migrateCredentials', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-migrate-'));
+        vi.stubEnv('XDG_CONFIG_HOME', dir);
+        vi.stubEnv('CANVELETE_PASSPHRASE', 'correct horse');
+        vi.stubEnv('CANVELETE_API_KEY', '');
+        vi.stubEnv('CANVELETE_PROFILE', '');
+        vi.resetModules();
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('moves plaintext keys from the config and profiles into the store', async () => {
+        const config = await import('../src/config.js');
+        const profiles = await import('../src/profiles.js');
+        config.setConfig('apiKey', 'sk_global');
+        profiles.saveProfile('staging', { apiKey: 'sk_staging', defaultFormat: 'jpg' });
+        profiles.saveProfile('empty', { defaultFormat: 'pdf' });
+
+        expect(await config.migrateCredentials()).toEqual(['global', 'profile:staging']);
+        expect(config.getConfig('apiKey')).toBe('');
+        expect(profiles.getProfile('staging')).not.toHaveProperty('apiKey');
+        expect(profiles.getProfile('staging').defaultFormat).toBe('jpg');
+        expect(fs.readFileSync(config.getConfigPath(), 'utf8')).not.toContain('sk_global');
+        expect(fs.readFileSync(profiles.getProfilesPath(), 'utf8')).not.toContain('sk_staging');
+
+        // A fresh process finds the keys in the store
+        vi.resetModules();
+        const reloaded = await import('../src/config.js');
+        expect(await reloaded.loadApiKey()).toBe('sk_global');
+        vi.stubEnv('CANVELETE_PROFILE', 'staging');
+        expect(await reloaded.loadApiKey()).toBe('sk_staging');
+
+        expect(await reloaded.migrateCredentials()).toEqual([]);
+    });
+
+    it('does nothing without plaintext keys', async () => {
+        const config = await import('../src/config.js');
+        const { getCredentialsPath } = await import('../src/credentials.js');
+
+        expect(await config.migrateCredentials()).toEqual([]);
+        expect(fs.existsSync(getCredentialsPath())).toBe(false);
+    });
+});
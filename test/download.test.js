@@ -0,0 +1,30 @@
+import path from 'path';
+import { describe, it, expect } from 'vitest';
+import { assetFileName } from '../src/download.js';
+
+describe('assetFileName', () => {
+    it('prefixes the asset name with its ID', () => {
+        expect(assetFileName({ id: 'a1', name: 'logo.png' })).toBe('a1-logo.png');
+        expect(assetFileName({ id: 'a1' })).toBe('a1-a1');
+    });
+
+    it('keeps server-supplied IDs and names to one path segment', () => {
+        const names = [
+            assetFileName({ id: '../../etc', name: 'passwd' }),
+            assetFileName({ id: '..', name: '..' }),
+            assetFileName({ id: 'a\\..\\b', name: 'x:y*?.png' }),
+            assetFileName({ id: 'a1', name: 'sub/dir/logo.png' }),
+        ];
+
+        expect(names).toEqual(['.._.._etc-passwd', '_-_', 'a_.._b-x_y_.png', 'a1-sub_dir_logo.png']);
+        for (const name of names) {
+            expect(path.join('/mirror', name).startsWith('/mirror/')).toBe(true);
+            expect(path.basename(name)).toBe(name);
+        }
+    });
+
+    it('drops control characters and limits the length', () => {
+        expect(assetFileName({ id: 'a\n1', name: 'x\ty' })).toBe('a_1-x_y');
+        expect(assetFileName({ id: 'a1', name: 'n'.repeat(300) })).toHaveLength('a1-'.length + 200);
+    });
+});
@@ -0,0 +1,86 @@
+import path from 'path';
+import { describe, it, expect } from 'vitest';
+import { compilePattern, slugify, formatDate, patternVariables, resolveOutputPath, OutputPathRegistry } from '../src/filename.js';
+
+describe('compilePattern', () => {
+    it('substitutes variables, data paths and filters', () => {
+        const render = compilePattern('{{designId}}/{{data.name | slugify}}_{{index | pad:4}}.{{format | upper}}');
+        expect(render({ designId: 'd1', index: 7, format: 'png', data: { name: 'Zoë Smith, Jr.' } }))
+            .toBe('d1/zoe-smith-jr_0007.PNG');
+    });
+
+    it('keeps substituted values from adding directories', () => {
+        const render = compilePattern('{{data.name}}.png');
+        expect(render({ data: { name: '../etc/passwd' } })).toBe('..-etc-passwd.png');
+    });
+
+    it('rejects unknown filters and variables at compile time', () => {
+        expect(() => compilePattern('{{id | shout}}')).toThrow('Unknown filter "shout"');
+        expect(() => compilePattern('{{nmae}}', { variables: ['name'] })).toThrow('Unknown placeholder {{nmae}}');
+        expect(() => compilePattern('{{ }}')).toThrow('Empty placeholder');
+    });
+
+    it('requires a value for default', () => {
+        expect(() => compilePattern('{{data.name | default}}')).toThrow('needs a value');
+    });
+
+    it('fails on a missing value before any filter runs', () => {
+        expect(() => compilePattern('{{data.name | slugify}}.png')({ data: {} })).toThrow('No value for {{data.name}}');
+        expect(() => compilePattern('{{data.name | lower}}.png')({})).toThrow('No value for {{data.name}}');
+        expect(() => compilePattern('{{data.name | upper | default:x}}.png')({ data: {} })).toThrow('No value');
+    });
+
+    it('lets a leading default fill a missing value', () => {
+        const render = compilePattern('{{data.name | default:unknown | upper}}.png');
+        expect(render({ data: {} })).toBe('UNKNOWN.png');
+        expect(render({ data: { name: 'jane' } })).toBe('JANE.png');
+    });
+});
+
+describe('filters', () => {
+    it('slugifies to lowercase ASCII', () => {
+        expect(slugify('  Hello,   World! ')).toBe('hello-world');
+    });
+
+    it('formats dates with tokens', () => {
+        const date = new Date(2024, 0, 5, 9, 3, 7, 42);
+        expect(formatDate(date, 'YYYY-MM-DD_HHmmss.SSS')).toBe('2024-01-05_090307.042');
+        expect(compilePattern('{{data.when | date:YY}}')({ data: { when: '2031-06-01T12:00:00' } })).toBe('31');
+        expect(() => compilePattern('{{data.when | date}}')({ data: { when: 'soon' } })).toThrow('is not a date');
+    });
+});
+
+describe('patternVariables', () => {
+    it('adds id, date and timestamp', () => {
+        const vars = patternVariables({ templateId: 't1' });
+        expect(vars.id).toBe('t1');
+        expect(vars.date).toBeInstanceOf(Date);
+        expect(vars.timestamp).toBe(vars.date.getTime());
+    });
+});
+
+describe('resolveOutputPath', () => {
+    const outputDir = path.resolve('out');
+
+    it('joins the name to the output directory', () => {
+        expect(resolveOutputPath(outputDir, compilePattern('{{id}}/{{format}}.png'), { id: 'a', format: 'b' }))
+            .toBe(path.join(outputDir, 'a', 'b.png'));
+        expect(resolveOutputPath(outputDir, compilePattern('...{{format}}'), { format: 'png' }))
+            .toBe(path.join(outputDir, '...png'));
+    });
+
+    it('rejects names outside the directory or empty', () => {
+        expect(() => resolveOutputPath(outputDir, compilePattern('../{{id}}'), { id: 'a' })).toThrow('outside the output directory');
+        expect(() => resolveOutputPath(outputDir, compilePattern('/tmp/{{id}}'), { id: 'a' })).toThrow('outside the output directory');
+        expect(() => resolveOutputPath(outputDir, compilePattern('{{id}}'), { id: ' ' })).toThrow('empty file name');
+    });
+});
+
+describe('OutputPathRegistry', () => {
+    it('reports a path claimed by another owner', () => {
+        const registry = new OutputPathRegistry();
+        registry.claim('out/a.png', 'row 1');
+        registry.claim('out/a.png', 'row 1');
+        expect(() => registry.claim('out/./a.png', 'row 2')).toThrow('also the output of row 1');
+    });
+});
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { expandGlobs, globToRegExp, hasGlob } from '../src/glob.js';
+
+describe('globToRegExp', () => {
+    it('matches * and ? within one path segment', () => {
+        expect(globToRegExp('*.png').test('logo.png')).toBe(true);
+        expect(globToRegExp('*.png').test('img/logo.png')).toBe(false);
+        expect(globToRegExp('logo-?.png').test('logo-1.png')).toBe(true);
+        expect(globToRegExp('logo-?.png').test('logo-12.png')).toBe(false);
+        expect(globToRegExp('?.png').test('/.png')).toBe(false);
+    });
+
+    it('matches **/ against zero or more directories', () => {
+        const regex = globToRegExp('**/*.png');
+        expect(regex.test('logo.png')).toBe(true);
+        expect(regex.test('a/b/logo.png')).toBe(true);
+        expect(regex.test('a/b/logo.jpg')).toBe(false);
+        expect(globToRegExp('img/**').test('img/a/b.png')).toBe(true);
+    });
+
+    it('expands brace alternatives, including wildcards inside them', () => {
+        expect(globToRegExp('logo.{png,jpg}').test('logo.jpg')).toBe(true);
+        expect(globToRegExp('logo.{png,jpg}').test('logo.gif')).toBe(false);
+
+        const regex = globToRegExp('{*.png,icons/?.svg}');
+        expect(regex.test('logo.png')).toBe(true);
+        expect(regex.test('icons/a.svg')).toBe(true);
+        expect(regex.test('icons/ab.svg')).toBe(false);
+        expect(regex.test('img/logo.png')).toBe(false);
+    });
+
+    it('treats regex characters and an unclosed brace literally', () => {
+        expect(globToRegExp('a+b (1).png').test('a+b (1).png')).toBe(true);
+        expect(globToRegExp('a.png').test('aXpng')).toBe(false);
+        expect(globToRegExp('{a.png').test('{a.png')).toBe(true);
+    });
+});
+
+describe('expandGlobs', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-glob-'));
+        for (const file of ['a.png', 'b.jpg', 'c.gif', 'sub/d.png', 'sub/deep/e.jpg']) {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+            fs.writeFileSync(path.join(dir, file), '');
+        }
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('expands patterns under their literal base directory', () => {
+        const relative = files => files.map(file => path.relative(dir, file).split(path.sep).join('/'));
+
+        expect(relative(expandGlobs([path.join(dir, '{*.png,*.jpg}')]))).toEqual(['a.png', 'b.jpg']);
+        expect(relative(expandGlobs([path.join(dir, '**/*.{png,jpg}')]))).toEqual(['a.png', 'b.jpg', 'sub/d.png', 'sub/deep/e.jpg']);
+        expect(expandGlobs([path.join(dir, 'missing', '*.png')])).toEqual([]);
+    });
+
+    it('passes plain paths through', () => {
+        expect(hasGlob('a.png')).toBe(false);
+        expect(expandGlobs(['a.png', 'a.png'])).toEqual(['a.png']);
+    });
+});
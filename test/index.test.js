@@ -0,0 +1,48 @@
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { describe, it, expect } from 'vitest';
+import { Canvelete, AuthenticationError } from '../src/index.js';
+
+const HOOK = `
+export async function resolve(specifier, context, next) {
+    const result = await next(specifier, context);
+    process.stderr.write(result.url + '\\n');
+    return result;
+}`;
+
+const REGISTER = `
+import { register } from 'node:module';
+register('data:text/javascript,' + encodeURIComponent(${JSON.stringify(HOOK)}));`;
+
+describe('SDK entry point', () => {
+    it('takes its settings from options and the environment only', () => {
+        const canvelete = new Canvelete({ apiKey: 'k', baseUrl: 'https://api.test/' });
+        expect(canvelete.baseUrl).toBe('https://api.test');
+        expect(canvelete.retries).toBe(3);
+        expect(canvelete.timeout).toBe(120);
+    });
+
+    it('requires an API key', () => {
+        const saved = process.env.CANVELETE_API_KEY;
+        delete process.env.CANVELETE_API_KEY;
+        try {
+            expect(() => new Canvelete()).toThrow(AuthenticationError);
+        } finally {
+            if (saved !== undefined) process.env.CANVELETE_API_KEY = saved;
+        }
+    });
+
+    it('does not load the CLI configuration modules or their dependencies', () => {
+        const entry = fileURLToPath(new URL('../src/index.js', import.meta.url));
+        const { stderr: loaded } = spawnSync(process.execPath, [
+            '--import', `data:text/javascript,${encodeURIComponent(REGISTER)}`,
+            '--input-type=module',
+            '-e', `await import(${JSON.stringify(entry)});`,
+        ], { encoding: 'utf8' });
+
+        expect(loaded).toContain('/src/client.js');
+        for (const module of ['/src/config.js', '/src/project.js', '/src/schema.js', '/src/credentials.js', '/ajv/', '/inquirer/', '/conf/']) {
+            expect(loaded).not.toContain(module);
+        }
+    });
+});
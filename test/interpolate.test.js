@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect } from 'vitest';
+import { interpolate, parseDotEnv } from '../src/interpolate.js';
+import { getConfigEnv } from '../src/project.js';
+
+describe('interpolate', () => {
+    it('expands references in nested strings only', () => {
+        const { value, unresolved } = interpolate(
+            { url: 'https://${HOST}/v1', list: ['${NAME}', 3, true, null] },
+            { HOST: 'api.test', NAME: 'Jane' }
+        );
+        expect(value).toEqual({ url: 'https://api.test/v1', list: ['Jane', 3, true, null] });
+        expect(unresolved).toEqual([]);
+    });
+
+    it('uses defaults for unset or empty variables', () => {
+        const { value } = interpolate(['${A:-x}', '${B:-y}', '${C:-}', '${B}'], { B: '' });
+        expect(value).toEqual(['x', 'y', '', '']);
+    });
+
+    it('keeps escaped references literal', () => {
+        expect(interpolate('$${HOME} costs $5', { HOME: '/root' }).value).toBe('${HOME} costs $5');
+    });
+
+    it('reports unresolved references with their path', () => {
+        const { value, unresolved } = interpolate({ a: [{ b: 'x${MISSING}y' }] }, {});
+        expect(value).toEqual({ a: [{ b: 'xy' }] });
+        expect(unresolved).toEqual([{ name: 'MISSING', path: ['a', 0, 'b'] }]);
+    });
+
+    it('does not resolve names from Object.prototype', () => {
+        const { unresolved } = interpolate('${constructor}${toString}', {});
+        expect(unresolved.map(({ name }) => name)).toEqual(['constructor', 'toString']);
+    });
+});
+
+describe('parseDotEnv', () => {
+    it('reads quoted values, export prefixes and comments', () => {
+        expect(parseDotEnv([
+            '# comment',
+            'export A=1',
+            'B = "two\\nlines" # note',
+            "C='single # kept'",
+            'D=plain # dropped',
+            'not a line',
+        ].join('\n'))).toEqual({ A: '1', B: 'two\nlines', C: 'single # kept', D: 'plain' });
+    });
+});
+
+describe('getConfigEnv', () => {
+    it('reads the .env next to the given config file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-env-'));
+        try {
+            fs.mkdirSync(path.join(dir, 'staging'));
+            fs.writeFileSync(path.join(dir, 'staging', '.env'), 'CANVELETE_TEST_STAGE=staging\n');
+            expect(getConfigEnv(path.join(dir, 'staging', 'other.json')).CANVELETE_TEST_STAGE).toBe('staging');
+            expect(getConfigEnv(path.join(dir, 'other.json')).CANVELETE_TEST_STAGE).toBeUndefined();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
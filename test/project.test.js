@@ -0,0 +1,47 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { loadProjectConfig, resolveDesignId } from '../src/project.js';
+import { ProjectConfigError } from '../src/errors.js';
+
+describe('loadProjectConfig', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-project-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeConfig(text) {
+        fs.writeFileSync(path.join(dir, 'canvelete.config.json'), text);
+        fs.mkdirSync(path.join(dir, 'sub'));
+        return path.join(dir, 'sub');
+    }
+
+    it('finds the config above cwd and expands references from .env', () => {
+        const cwd = writeConfig('{"designs": {"hero": "${HERO_ID}"}, "canvelete": {"defaultFormat": "${FORMAT:-jpg}"}}');
+        fs.writeFileSync(path.join(dir, '.env'), 'HERO_ID=d_123\n');
+
+        expect(loadProjectConfig(cwd).canvelete.defaultFormat).toBe('jpg');
+        expect(resolveDesignId('hero', cwd)).toBe('d_123');
+        expect(resolveDesignId('other', cwd)).toBe('other');
+    });
+
+    it('reports a malformed config with its path', () => {
+        const cwd = writeConfig('{"canvelete": {');
+        const configPath = path.join(dir, 'canvelete.config.json');
+
+        expect(() => loadProjectConfig(cwd)).toThrow(ProjectConfigError);
+        expect(() => loadProjectConfig(cwd)).toThrow(`Failed to read ${configPath}`);
+    });
+
+    it('fails on references without a value or default', () => {
+        const cwd = writeConfig('{"canvelete": {"outputDir": "${CANVELETE_TEST_UNSET_DIR}"}}');
+
+        expect(() => loadProjectConfig(cwd)).toThrow('${CANVELETE_TEST_UNSET_DIR} (canvelete.outputDir)');
+    });
+});
@@ -0,0 +1,192 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    PromotionMap, collectAssetIds, rewriteAssets, assetChanged, diffDesigns, hasChanges,
+    planPromotion, applyPromotion,
+} from '../src/promote.js';
+import { NotFoundError } from '../src/errors.js';
+
+const design = {
+    id: 'src-1',
+    name: 'Card',
+    width: 800,
+    height: 600,
+    canvasData: {
+        background: '#fff',
+        elements: [
+            { id: 'title', type: 'text', text: 'Hi' },
+            { id: 'logo', type: 'image', assetId: 'a1', src: 'https://cdn/source/a1.png' },
+            { id: 'group', type: 'group', children: [{ type: 'image', assetId: 'a2' }] },
+        ],
+    },
+};
+
+// Source and target accounts backed by plain objects, recording the calls
+// that write to the target
+function fakeAccounts({ targetDesigns = {}, failCreate = false } = {}) {
+    const calls = [];
+    const source = {
+        getDesign: async id => ({ data: { ...design, id } }),
+        getAsset: async id => ({ data: { id, name: `${id}.png`, type: 'IMAGE', url: `https://cdn/source/${id}.png`, checksum: `sum-${id}` } }),
+        downloadAsset: async (asset, file) => fs.writeFileSync(file, asset.id),
+    };
+    const target = {
+        getDesign: async (id) => {
+            if (!targetDesigns[id]) throw new NotFoundError('Design not found', { status: 404 });
+            return { data: targetDesigns[id] };
+        },
+        uploadAsset: async (file, { name }) => {
+            calls.push(['uploadAsset', name]);
+            return { data: { id: `t-${fs.readFileSync(file, 'utf8')}`, url: `https://cdn/target/${name}` } };
+        },
+        createDesign: async (data, { idempotencyKey }) => {
+            calls.push(['createDesign', idempotencyKey]);
+            if (failCreate) throw new Error('socket hang up');
+            return { data: { id: 'tgt-1', ...data } };
+        },
+        updateDesign: async (id, data) => {
+            calls.push(['updateDesign', id]);
+            return { data: { id, ...data } };
+        },
+    };
+    return { source, target, calls };
+}
+
+describe('promotion helpers', () => {
+    it('collects asset IDs from nested canvas data', () => {
+        expect(collectAssetIds(design.canvasData)).toEqual(['a1', 'a2']);
+        expect(collectAssetIds(undefined)).toEqual([]);
+    });
+
+    it('rewrites asset IDs and matching src URLs without changing the input', () => {
+        const sources = { a1: { id: 'a1', url: 'https://cdn/source/a1.png' }, a2: { id: 'a2' } };
+        const rewritten = rewriteAssets(design.canvasData, sources, asset => ({ id: `t-${asset.id}`, url: `https://cdn/target/${asset.id}.png` }));
+
+        expect(rewritten.elements[1]).toMatchObject({ assetId: 't-a1', src: 'https://cdn/target/a1.png' });
+        expect(rewritten.elements[2].children[0].assetId).toBe('t-a2');
+        expect(design.canvasData.elements[1].assetId).toBe('a1');
+    });
+
+    it('re-uploads assets that were never promoted or have changed', () => {
+        expect(assetChanged({ checksum: 'x' }, undefined)).toBe(true);
+        expect(assetChanged({ checksum: 'x' }, { sourceChecksum: 'x' })).toBe(false);
+        expect(assetChanged({ checksum: 'y' }, { sourceChecksum: 'x' })).toBe(true);
+        expect(assetChanged({ updatedAt: '2024-02-01' }, { sourceUpdatedAt: '2024-01-01' })).toBe(true);
+        expect(assetChanged({}, { sourceUpdatedAt: '2024-01-01' })).toBe(false);
+    });
+
+    it('diffs fields, canvas settings and elements by ID', () => {
+        const current = {
+            name: 'Card',
+            width: 800,
+            canvasData: {
+                background: '#000',
+                elements: [{ id: 'title', type: 'text', text: 'Hello' }, { id: 'old', type: 'rect' }],
+            },
+        };
+        const desired = {
+            name: 'Card v2',
+            width: 800,
+            canvasData: {
+                background: '#fff',
+                elements: [{ id: 'title', type: 'text', text: 'Hi' }, { id: 'new', type: 'circle' }],
+            },
+        };
+
+        const diff = diffDesigns(current, desired);
+        expect(diff.fields).toEqual([{ field: 'name', before: 'Card', after: 'Card v2' }]);
+        expect(diff.canvas).toEqual(['background']);
+        expect(diff.elements).toEqual([
+            { change: 'changed', id: 'title', type: 'text', properties: ['text'] },
+            { change: 'added', id: 'new', type: 'circle' },
+            { change: 'removed', id: 'old', type: 'rect' },
+        ]);
+        expect(hasChanges(diff)).toBe(true);
+        expect(hasChanges(diffDesigns(desired, desired))).toBe(false);
+    });
+
+    it('treats a new design as all additions', () => {
+        const diff = diffDesigns(null, { name: 'Card', canvasData: { elements: [{ type: 'text' }] } });
+        expect(diff.fields).toEqual([{ field: 'name', before: undefined, after: 'Card' }]);
+        expect(diff.elements).toEqual([{ change: 'added', id: '#0', type: 'text' }]);
+    });
+});
+
+describe('planPromotion and applyPromotion', () => {
+    let dir;
+    let mapping;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvelete-promote-test-'));
+        mapping = new PromotionMap(path.join(dir, 'canvelete.promote.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('plans a new design with every asset to upload', async () => {
+        const { source, target } = fakeAccounts();
+        const plan = await planPromotion(source, target, 'src-1', mapping.forPair('staging', 'prod'));
+
+        expect(plan.current).toBe(null);
+        expect(plan.assets.map(({ asset, upload }) => [asset.id, upload])).toEqual([['a1', true], ['a2', true]]);
+        expect(plan.diff.elements.map(({ change }) => change)).toEqual(['added', 'added', 'added']);
+    });
+
+    it('creates the design, records the mapping and updates it on the next run', async () => {
+        const { source, target, calls } = fakeAccounts();
+        const pair = mapping.forPair('staging', 'prod');
+
+        const result = await applyPromotion(source, target, await planPromotion(source, target, 'src-1', pair), pair, mapping);
+        expect(result).toEqual({ id: 'tgt-1' });
+
+        const saved = new PromotionMap(mapping.file).forPair('staging', 'prod');
+        expect(saved.designs['src-1'].id).toBe('tgt-1');
+        expect(saved.designs['src-1'].idempotencyKey).toBeUndefined();
+        expect(saved.assets.a1).toMatchObject({ id: 't-a1', sourceChecksum: 'sum-a1' });
+
+        const again = fakeAccounts({ targetDesigns: { 'tgt-1': { ...design, id: 'tgt-1' } } });
+        const plan = await planPromotion(again.source, again.target, 'src-1', saved);
+        expect(plan.current.id).toBe('tgt-1');
+        expect(plan.assets.every(({ upload }) => !upload)).toBe(true);
+
+        await applyPromotion(again.source, again.target, plan, saved, mapping);
+        expect(again.calls).toEqual([['updateDesign', 'tgt-1']]);
+        expect(calls.filter(([name]) => name === 'uploadAsset')).toHaveLength(2);
+    });
+
+    it('reuses the idempotency key of an interrupted create', async () => {
+        const failing = fakeAccounts({ failCreate: true });
+        const pair = mapping.forPair('staging', 'prod');
+        const plan = await planPromotion(failing.source, failing.target, 'src-1', pair);
+        await expect(applyPromotion(failing.source, failing.target, plan, pair, mapping)).rejects.toThrow('socket hang up');
+
+        const saved = new PromotionMap(mapping.file).forPair('staging', 'prod');
+        const [, firstKey] = failing.calls.find(([name]) => name === 'createDesign');
+        expect(saved.designs['src-1'].idempotencyKey).toBe(firstKey);
+
+        const retry = fakeAccounts();
+        const retryPlan = await planPromotion(retry.source, retry.target, 'src-1', saved);
+        expect(retryPlan.current).toBe(null);
+        expect(retryPlan.assets.every(({ upload }) => !upload)).toBe(true);
+
+        await applyPromotion(retry.source, retry.target, retryPlan, saved, mapping);
+        expect(retry.calls).toEqual([['createDesign', firstKey]]);
+    });
+
+    it('creates the design again when the mapped one was deleted on the target', async () => {
+        const { source, target, calls } = fakeAccounts();
+        const pair = mapping.forPair('staging', 'prod');
+        pair.designs['src-1'] = { id: 'gone', promotedAt: '2024-01-01T00:00:00.000Z' };
+
+        const plan = await planPromotion(source, target, 'src-1', pair);
+        expect(plan.current).toBe(null);
+
+        await applyPromotion(source, target, plan, pair, mapping);
+        expect(calls.at(-1)[0]).toBe('createDesign');
+        expect(pair.designs['src-1'].id).toBe('tgt-1');
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AdaptiveLimiter, parseRateLimit, formatRateLimit } from '../src/ratelimit.js';
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('parseRateLimit', () => {
+    it('reads X-RateLimit and IETF headers', () => {
+        vi.useFakeTimers({ now: 1_000_000 });
+        expect(parseRateLimit(new Headers({ 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '7', 'x-ratelimit-reset': '30' })))
+            .toEqual({ limit: 100, remaining: 7, resetAt: 1_030_000 });
+        expect(parseRateLimit(new Headers({ 'ratelimit-remaining': '0', 'ratelimit-reset': '1700000000' })))
+            .toEqual({ limit: null, remaining: 0, resetAt: 1_700_000_000_000 });
+        expect(parseRateLimit(new Headers({ 'content-type': 'application/json' }))).toBe(null);
+    });
+
+    it('formats the remaining budget', () => {
+        vi.useFakeTimers({ now: 0 });
+        expect(formatRateLimit({ limit: 100, remaining: 7, resetAt: 4500 })).toBe('7/100 requests left, resets in 5s');
+        expect(formatRateLimit(null)).toBe(null);
+    });
+});
+
+describe('AdaptiveLimiter', () => {
+    it('never runs more than the limit at once', async () => {
+        const limiter = new AdaptiveLimiter({ max: 2 });
+        let active = 0;
+        let peak = 0;
+        const task = async () => {
+            peak = Math.max(peak, ++active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+        };
+
+        await Promise.all(Array.from({ length: 6 }, () => limiter.run(task)));
+        expect(peak).toBe(2);
+        expect(limiter.active).toBe(0);
+    });
+
+    it('halves on a low budget at most once per interval and recovers with headroom', () => {
+        vi.useFakeTimers({ now: 10_000 });
+        const changes = [];
+        const limiter = new AdaptiveLimiter({ max: 8, onChange: l => changes.push(l.limit) });
+
+        limiter.observe(200, { limit: 100, remaining: 5, resetAt: null });
+        limiter.observe(200, { limit: 100, remaining: 4, resetAt: null });
+        expect(limiter.limit).toBe(4);
+
+        vi.advanceTimersByTime(1000);
+        limiter.observe(200, { limit: 100, remaining: 3, resetAt: null });
+        expect(limiter.limit).toBe(2);
+
+        limiter.observe(200, { limit: 100, remaining: 80, resetAt: null });
+        limiter.observe(200, null);
+        expect(limiter.limit).toBe(4);
+        expect(changes).toEqual([4, 2, 3, 4]);
+    });
+
+    it('pauses new work after a 429 until Retry-After has passed', async () => {
+        vi.useFakeTimers({ now: 0 });
+        const limiter = new AdaptiveLimiter({ max: 4 });
+        limiter.observe(429, null, 2);
+        expect(limiter.limit).toBe(2);
+        expect(limiter.describe()).toBe('concurrency 2/4, paused');
+
+        let ran = false;
+        const done = limiter.run(async () => { ran = true; });
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(ran).toBe(false);
+        await vi.advanceTimersByTimeAsync(1);
+        await done;
+        expect(ran).toBe(true);
+    });
+
+    it('waits for the reset when the budget is exhausted', async () => {
+        vi.useFakeTimers({ now: 0 });
+        const limiter = new AdaptiveLimiter({ max: 2 });
+        limiter.observe(200, { limit: 10, remaining: 0, resetAt: 5000 });
+
+        let ran = false;
+        const done = limiter.run(async () => { ran = true; });
+        await vi.advanceTimersByTimeAsync(4999);
+        expect(ran).toBe(false);
+        await vi.advanceTimersByTimeAsync(1);
+        await done;
+        expect(ran).toBe(true);
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { validateJson, formatPath, toPointer, toSarif } from '../src/schema.js';
+
+const validConfig = `{
+  "$schema": "./node_modules/canvelete-cli/schemas/canvelete.config.schema.json",
+  "name": "cards",
+  "canvelete": { "defaultFormat": "png", "defaultQuality": 90, "outputDir": "out" },
+  "designs": { "hero": "d_123", "footer": { "id": "d_456", "description": "Footer" } },
+  "batch": { "parallel": 4 }
+}`;
+
+const invalidConfig = `{
+  "name": "cards",
+  "canvelete": {
+    "defaultFormat": "bmp",
+    "defaultQuality": 150,
+    "colour": "red"
+  },
+  "designs": { "hero": 42 },
+  "batch": { "parallel": "\${PARALLEL}" }
+}`;
+
+describe('validateJson', () => {
+    it('accepts a valid config and returns the parsed value', () => {
+        const { value, problems } = validateJson('config', validConfig);
+        expect(problems).toEqual([]);
+        expect(value.designs.footer.id).toBe('d_456');
+    });
+
+    it('reports each problem with its path and the line and column of the value or key', () => {
+        const { problems } = validateJson('config', invalidConfig);
+        expect(problems.map(({ rule, path, line, column }) => ({ rule, path, line, column }))).toEqual([
+            { rule: 'enum', path: 'canvelete.defaultFormat', line: 4, column: 22 },
+            { rule: 'maximum', path: 'canvelete.defaultQuality', line: 5, column: 23 },
+            { rule: 'additionalProperties', path: 'canvelete.colour', line: 6, column: 5 },
+            { rule: 'oneOf', path: 'designs.hero', line: 8, column: 24 },
+            { rule: 'unresolved-variable', path: 'batch.parallel', line: 9, column: 26 },
+            { rule: 'type', path: 'batch.parallel', line: 9, column: 26 },
+        ]);
+        expect(problems[0].message).toMatch(/^must be one of: png, /);
+        expect(problems[2].message).toBe('unknown key "colour"');
+        expect(problems[4]).toMatchObject({ message: 'unresolved variable ${PARALLEL}', pointer: '/batch/parallel' });
+    });
+
+    it('checks values after expanding variables', () => {
+        const text = '{ "canvelete": { "defaultFormat": "${FORMAT:-jpg}", "outputDir": "${OUT}" } }';
+        const { value, problems } = validateJson('config', text, { OUT: 'renders' });
+
+        expect(problems).toEqual([]);
+        expect(value.canvelete).toEqual({ defaultFormat: 'jpg', outputDir: 'renders' });
+    });
+
+    it('reports where the JSON syntax breaks', () => {
+        const { problems } = validateJson('config', '{\n  "name": "cards",\n  "designs": {,}\n}');
+
+        expect(problems).toHaveLength(1);
+        expect(problems[0]).toMatchObject({ rule: 'json-syntax', path: '', line: 3, column: 15 });
+        expect(problems[0].message).toMatch(/^Invalid JSON: /);
+    });
+
+    it('points batch entry problems at the array index', () => {
+        const text = '[\n  { "designId": "d_1" },\n  { "format": "png" },\n  { "designId": "d_2", "quality": "high" }\n]';
+        const problems = validateJson('batch', text).problems.map(({ rule, path, line }) => ({ rule, path, line }));
+
+        expect(problems).toEqual([
+            { rule: 'anyOf', path: '[1]', line: 3 },
+            { rule: 'type', path: '[2].quality', line: 4 },
+        ]);
+    });
+});
+
+describe('paths', () => {
+    it('converts between key paths, JSON pointers and readable paths', () => {
+        expect(toPointer(['designs', 'a/b', 0])).toBe('/designs/a~1b/0');
+        expect(formatPath('/designs/a~1b/0')).toBe('designs["a/b"][0]');
+        expect(formatPath('/items/0/name')).toBe('items[0].name');
+        expect(formatPath('')).toBe('(root)');
+    });
+});
+
+describe('toSarif', () => {
+    it('lists each problem with its rule and location', () => {
+        const { problems } = validateJson('config', invalidConfig);
+        const sarif = toSarif([{ file: 'canvelete.config.json', problems }]);
+        const [run] = sarif.runs;
+
+        expect(sarif.version).toBe('2.1.0');
+        expect(run.tool.driver.rules.map(rule => rule.id)).toEqual([
+            'enum', 'maximum', 'additionalProperties', 'oneOf', 'unresolved-variable', 'type',
+        ]);
+        expect(run.results[2]).toMatchObject({
+            ruleId: 'additionalProperties',
+            message: { text: 'canvelete.colour: unknown key "colour"' },
+            locations: [{ physicalLocation: { artifactLocation: { uri: 'canvelete.config.json' }, region: { startLine: 6, startColumn: 5 } } }],
+        });
+    });
+});
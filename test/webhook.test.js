@@ -0,0 +1,92 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { signWebhookPayload, verifyWebhookSignature, createWebhookServer, getRenderJob, SIGNATURE_HEADER } from '../src/webhook.js';
+
+const SECRET = 'whsec_test';
+
+describe('verifyWebhookSignature', () => {
+    const body = '{"id":"job_1"}';
+
+    it('accepts a valid signature', () => {
+        expect(verifyWebhookSignature(SECRET, body, signWebhookPayload(SECRET, body))).toBe(null);
+    });
+
+    it('accepts any of several v1 signatures, as sent during secret rotation', () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const valid = signWebhookPayload(SECRET, body, timestamp).split('v1=')[1];
+        expect(verifyWebhookSignature(SECRET, body, `t=${timestamp},v1=${'0'.repeat(64)},v1=${valid}`)).toBe(null);
+    });
+
+    it('rejects missing, malformed, stale and mismatched signatures', () => {
+        expect(verifyWebhookSignature(SECRET, body, undefined)).toBe('missing signature');
+        expect(verifyWebhookSignature(SECRET, body, 'v1=abc')).toBe('malformed signature');
+        expect(verifyWebhookSignature(SECRET, body, signWebhookPayload(SECRET, body, 1000))).toBe('timestamp outside tolerance');
+        expect(verifyWebhookSignature(SECRET, body, signWebhookPayload(SECRET, body, 1000), 0)).toBe(null);
+        expect(verifyWebhookSignature(SECRET, `${body} `, signWebhookPayload(SECRET, body))).toBe('signature mismatch');
+        expect(verifyWebhookSignature('other', body, signWebhookPayload(SECRET, body))).toBe('signature mismatch');
+        expect(verifyWebhookSignature(SECRET, body, 't=1,v1=zz', 0)).toBe('signature mismatch');
+    });
+});
+
+describe('getRenderJob', () => {
+    it('normalises wrapped and bare payloads', () => {
+        expect(getRenderJob({ event: 'render.failed', data: { jobId: 'job_1', error: 'x' } }))
+            .toMatchObject({ id: 'job_1', status: 'failed' });
+        expect(getRenderJob({ id: 'job_2', format: 'pdf' })).toMatchObject({ id: 'job_2', status: 'completed', format: 'pdf' });
+    });
+
+    it('rejects payloads whose ID or format could not name a file', () => {
+        expect(() => getRenderJob(null)).toThrow('payload is not an object');
+        expect(() => getRenderJob({ status: 'completed' })).toThrow('invalid job id');
+        expect(() => getRenderJob({ id: '../../etc/passwd' })).toThrow('invalid job id');
+        expect(() => getRenderJob({ id: 'job_1', format: 'png/../../x' })).toThrow('invalid format');
+    });
+});
+
+describe('createWebhookServer', () => {
+    let server;
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    async function start() {
+        const events = [];
+        const rejected = [];
+        server = createWebhookServer({
+            secret: SECRET,
+            onEvent: job => events.push(job),
+            onReject: reason => rejected.push(reason),
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${server.address().port}/`;
+        const post = (body, signature = signWebhookPayload(SECRET, body)) => fetch(url, {
+            method: 'POST',
+            headers: { [SIGNATURE_HEADER]: signature },
+            body,
+        });
+        return { url, post, events, rejected };
+    }
+
+    it('acknowledges valid callbacks and passes on the job', async () => {
+        const { post, events } = await start();
+        const response = await post(JSON.stringify({ event: 'render.completed', data: { id: 'job_1' } }));
+
+        expect(response.status).toBe(204);
+        expect(events).toEqual([expect.objectContaining({ id: 'job_1', status: 'completed' })]);
+    });
+
+    it('answers 400 for signed payloads that are not a valid job', async () => {
+        const { post, events, rejected } = await start();
+
+        expect((await post('null')).status).toBe(400);
+        expect((await post('{"id":"../x"}')).status).toBe(400);
+        expect((await post('{broken')).status).toBe(400);
+        expect(events).toEqual([]);
+        expect(rejected).toEqual(['payload is not an object', 'missing or invalid job id', 'invalid JSON']);
+    });
+
+    it('answers 401 for bad signatures and 405 for other methods', async () => {
+        const { url, post } = await start();
+
+        expect((await post('{"id":"job_1"}', 't=1,v1=00')).status).toBe(401);
+        expect((await fetch(url)).status).toBe(405);
+    });
+});